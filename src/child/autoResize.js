@@ -0,0 +1,65 @@
+/**
+ * Content size observation for auto-resizing the iframe from inside the child
+ */
+
+/**
+ * Measure the size the element's content needs
+ * The width is only measured when asked for: a block element is as wide as
+ * the frame, so its width follows the iframe instead of the content and would
+ * never let it shrink again. Measure a shrink-wrapped element (inline-block,
+ * fit-content) to follow the content width
+ */
+export function measureSize(element, { width = false } = {}) {
+  return {
+    width: width ? Math.ceil(element.getBoundingClientRect().width) : undefined,
+    height: Math.ceil(element.getBoundingClientRect().height)
+  };
+}
+
+/**
+ * Call `onResize({ width, height })` with the current size and again whenever
+ * it changes. Layout changes (ResizeObserver) and DOM changes (MutationObserver)
+ * are debounced by `debounce` ms. `width` also measures the width, see
+ * measureSize(). Returns a function that stops observing
+ */
+export function observeSize(element, onResize, { debounce = 100, width = false } = {}) {
+  let last = null;
+  let timeoutId = null;
+
+  const check = () => {
+    timeoutId = null;
+    const size = measureSize(element, { width });
+    if (last && last.width === size.width && last.height === size.height) return;
+    last = size;
+    onResize(size);
+  };
+
+  const schedule = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(check, debounce);
+  };
+
+  const observers = [];
+
+  if (typeof ResizeObserver !== 'undefined') {
+    const resizeObserver = new ResizeObserver(schedule);
+    resizeObserver.observe(element);
+    if (document.body && element !== document.body) {
+      resizeObserver.observe(document.body);
+    }
+    observers.push(resizeObserver);
+  }
+
+  if (typeof MutationObserver !== 'undefined') {
+    const mutationObserver = new MutationObserver(schedule);
+    mutationObserver.observe(element, { attributes: true, childList: true, characterData: true, subtree: true });
+    observers.push(mutationObserver);
+  }
+
+  check();
+
+  return () => {
+    clearTimeout(timeoutId);
+    observers.forEach(observer => observer.disconnect());
+  };
+}
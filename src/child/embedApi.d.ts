@@ -0,0 +1,141 @@
+/**
+ * Type declarations for the child-side EmbedApi, see embedApi.js
+ */
+
+import { AnyContract, MethodName, MethodParams, MethodResult } from '../shared/contract.js';
+import { OriginMatcher } from '../shared/permissions.js';
+import { MethodDescriptor } from '../shared/schema.js';
+import { Middleware } from '../shared/middleware.js';
+import { BatchOptions } from '../shared/batching.js';
+import { StreamChunk, StreamOptions, StreamReader } from '../shared/streams.js';
+import { ExtractionResult, ExtractOptions, Extractor } from '../shared/extract.js';
+import { WatchCallback, WatchOptions } from '../shared/watch.js';
+import { FillFormOptions, FillFormResult, FormSelector, FormValues } from '../shared/forms.js';
+import { CallOptions, EventHandler, ExposeOptions, Handler, RejectedMessage } from '../parent/rpc.js';
+
+export {
+  RpcError,
+  RpcTimeoutError,
+  MethodNotFoundError,
+  PermissionDeniedError,
+  ValidationError,
+  NavigationError,
+  ConnectionClosedError,
+  RemoteError,
+  registerErrorClass
+} from '../shared/errors.js';
+export { transfer } from '../shared/transfer.js';
+
+export interface AutoResizeOptions {
+  /** Element whose size is reported (default document.documentElement) */
+  element?: Element;
+  /** ms to wait for layout changes to settle (default 100) */
+  debounce?: number;
+  /**
+   * Also report the element's width (default false, height only). Use a
+   * shrink-wrapped element, a block element is always as wide as the frame
+   */
+  width?: boolean;
+}
+
+export interface EmbedApiOptions {
+  targetOrigin?: string;
+  allowedOrigins?: OriginMatcher | OriginMatcher[];
+  onRejectedMessage?: (info: RejectedMessage) => void;
+  timeout?: number;
+  channel?: string;
+  /**
+   * Capabilities granted to the parent. 'content' enables the built-in
+   * 'getContent', 'watch' and 'unwatch', 'forms' the built-in 'fillForm'
+   */
+  capabilities?: string[];
+  middleware?: Middleware[];
+  /** Post calls issued close together as one batch */
+  batch?: boolean | BatchOptions;
+  autoResize?: boolean | AutoResizeOptions;
+}
+
+export interface ParentInfo {
+  version: number;
+  methods: string[];
+  /** Capabilities the parent granted to this page */
+  capabilities: string[];
+  instance: string;
+}
+
+export interface PageInfo {
+  url: string;
+  title: string;
+  referrer: string;
+  userAgent: string;
+  timestamp: number;
+  dimensions: {
+    width: number;
+    height: number;
+    scrollWidth: number;
+    scrollHeight: number;
+  };
+}
+
+/**
+ * Child-side API; `P` is the contract of the methods the parent exposes
+ */
+export class EmbedApi<P = AnyContract> {
+  constructor(options?: EmbedApiOptions | string);
+
+  readonly session: string;
+  readonly connected: boolean;
+  readonly destroyed: boolean;
+  readonly peer: ParentInfo | null;
+  readonly channel: string;
+  timeout: number;
+  capabilities: Set<string>;
+
+  call<K extends MethodName<P>>(method: K, ...args: MethodParams<P, K>): Promise<MethodResult<P, K>>;
+  callWithOptions<K extends MethodName<P>>(
+    method: K,
+    args?: MethodParams<P, K>,
+    options?: CallOptions
+  ): Promise<MethodResult<P, K>>;
+
+  stream<K extends MethodName<P>>(method: K, ...args: MethodParams<P, K>): StreamReader<StreamChunk<MethodResult<P, K>>>;
+  streamWithOptions<K extends MethodName<P>>(
+    method: K,
+    args?: MethodParams<P, K>,
+    options?: StreamOptions
+  ): StreamReader<StreamChunk<MethodResult<P, K>>>;
+
+  expose(method: string, handler: Handler, options?: ExposeOptions): void;
+  unexpose(method: string): void;
+  releaseCallback(fn: (...args: any[]) => any): void;
+  use(middleware: Middleware): () => void;
+  getMethodNames(): string[];
+  describeMethods(): Record<string, MethodDescriptor>;
+
+  getPageInfo(): PageInfo;
+  getContent(options?: ExtractOptions): ExtractionResult;
+  registerExtractor(name: string, extractor: Extractor): () => void;
+  watch(options: WatchOptions, callback: WatchCallback): () => void;
+  watch(callback: WatchCallback): () => void;
+  fillForm(formSelector: FormSelector, values: FormValues, options?: FillFormOptions): FillFormResult;
+
+  requestResize(width?: number, height?: number): Promise<{ width?: number; height?: number }>;
+  autoResize(options?: AutoResizeOptions): () => void;
+  stopAutoResize(): void;
+  requestNavigation(url: string, target?: '_self' | '_parent' | '_top' | '_blank'): Promise<{ url: string; target: string }>;
+
+  on(event: string, handler: EventHandler): () => void;
+  once(event: string, handler: EventHandler): () => void;
+  off(event: string, handler?: EventHandler): void;
+  sendEvent(eventName: string, data?: unknown): void;
+
+  /** Close the connection, rejecting pending and later calls with a ConnectionClosedError */
+  destroy(): void;
+}
+
+declare global {
+  interface Window {
+    /** Created automatically when the page runs inside an iframe */
+    embedApi?: EmbedApi;
+  }
+}
@@ -3,17 +3,116 @@
  * Provides methods for child pages to expose functionality to parent pages
  */
 
-export class EmbedApi {
-  constructor(targetOrigin = '*') {
-    this.targetOrigin = targetOrigin;
-    this.messageId = 0;
-    this.pendingRequests = new Map();
-    this.exposedMethods = new Map();
+import { toTargetOrigin } from '../shared/origin.js';
+import { PROTOCOL_VERSION, isChannelMessage } from '../shared/protocol.js';
+import { RpcEndpoint } from '../shared/endpoint.js';
+import { unmarshalCallbacks } from '../shared/callbacks.js';
+import { createMethodPolicy } from '../shared/permissions.js';
+import { extractContent } from '../shared/extract.js';
+import { observeContent } from '../shared/watch.js';
+import { fillForm, findForm } from '../shared/forms.js';
+import { observeSize } from './autoResize.js';
+import { ConnectionClosedError, ValidationError, serializeError } from '../shared/errors.js';
+
+export {
+  RpcError,
+  RpcTimeoutError,
+  MethodNotFoundError,
+  PermissionDeniedError,
+  ValidationError,
+  NavigationError,
+  ConnectionClosedError,
+  RemoteError,
+  registerErrorClass
+} from '../shared/errors.js';
+export { transfer } from '../shared/transfer.js';
+
+const MESSAGE_TYPES = new Set(['rpc-hello', 'rpc-ack', 'rpc-request', 'rpc-response', 'rpc-cancel', 'rpc-release', 'rpc-batch', 'rpc-chunk', 'rpc-credit', 'rpc-close', 'parent-event']);
+const BUILT_IN_METHODS = ['ping', 'getInfo', 'getContent', 'fillForm', 'watch', 'unwatch', 'listMethods', 'describe'];
+
+// Built-in methods that read or fill the page only answer a parent the page
+// granted their capability to, see checkPermission()
+const BUILT_IN_POLICIES = new Map([
+  ['getContent', createMethodPolicy({ capabilities: ['content'] })],
+  ['fillForm', createMethodPolicy({ capabilities: ['forms'] })],
+  ['watch', createMethodPolicy({ capabilities: ['content'] })],
+  ['unwatch', createMethodPolicy({ capabilities: ['content'] })]
+]);
+
+// Methods answered by every EmbedApi, called with the instance and the arguments
+const BUILT_INS = new Map([
+  ['ping', () => 'pong'],
+  ['getInfo', api => api.getPageInfo()],
+  ['getContent', (api, [options]) => {
+    // Elements and functions cannot come from the parent
+    const { root, extractors, ...contentOptions } = options || {};
+    return api.getContent(contentOptions);
+  }],
+  ['fillForm', (api, args) => api.fillForm(...args)],
+  ['watch', (api, args) => api.watchForParent(args)],
+  ['unwatch', (api, [watchId]) => api.unwatchForParent(watchId)],
+  ['listMethods', api => api.getMethodNames()],
+  ['describe', api => api.describeMethods()]
+]);
+
+// The instance created when this module is imported inside an iframe
+let autoInstance = null;
+
+/**
+ * The child side of a connection, calls and everything else shared with the
+ * parent side live in RpcEndpoint
+ */
+export class EmbedApi extends RpcEndpoint {
+  /**
+   * Options (a plain string is treated as targetOrigin):
+   * - targetOrigin: origin the handshake is posted to until the parent origin is pinned
+   * - allowedOrigins: parent origins allowed to talk to us, see createOriginMatcher (defaults to targetOrigin)
+   * - onRejectedMessage: called with { reason, origin, data } for every dropped message,
+   *   and with reason 'middleware-failed' and the error when a middleware throws on a
+   *   message that is not part of a call
+   * - timeout: default call timeout in ms (10 seconds)
+   * - channel: namespace stamped on every message, both sides must use the same one
+   * - capabilities: capability names granted to the parent, required by methods exposed
+   *   with a `capabilities` option and announced during the handshake; 'content'
+   *   lets the parent read the page through the built-in 'getContent' and 'watch',
+   *   'forms' lets it fill forms through the built-in 'fillForm'
+   * - middleware: list of middleware to use(), see use()
+   * - batch: post calls issued close together as one batch, `true` or
+   *   { flush, maxSize, idempotent }, see resolveBatchOptions (default off)
+   * - autoResize: start autoResize() right away, `true` or its options
+   */
+  constructor(options = {}) {
+    if (typeof options === 'string') {
+      options = { targetOrigin: options };
+    }
+
+    super(window.parent, options, { incomingEvent: 'parent-event', outgoingEvent: 'child-event' });
+
+    const { autoResize = false } = options;
+
+    this.session = this.instanceId;
+    this.announced = false;
+    this.extractors = new Map();
+    this.remoteWatchers = new Map();
+    this.watchId = 0;
+    this.contentSize = null;
+    this.stopObservingSize = null;
     this.parentWindow = window.parent;
 
     // Only set up communication if we're actually in an iframe
     if (window !== window.parent) {
+      // An instance constructed by the page replaces the one created on import,
+      // so the parent can only ever connect to this one
+      if (autoInstance) {
+        autoInstance.destroy();
+        autoInstance = null;
+        window.embedApi = this;
+      }
       this.setupCommunication();
+
+      if (autoResize) {
+        this.autoResize(autoResize === true ? {} : autoResize);
+      }
     }
   }
 
@@ -21,131 +120,206 @@ export class EmbedApi {
    * Set up postMessage communication with parent
    */
   setupCommunication() {
-    window.addEventListener('message', this.handleMessage.bind(this));
-    
-    // Notify parent that we're ready
-    this.notifyReady();
+    // Keep the bound listener so destroy() can remove it
+    this.messageListener = this.handleMessage.bind(this);
+    window.addEventListener('message', this.messageListener);
+
+    // Notify parent that we're ready once the constructing script has run:
+    // methods it exposes right away are announced, and an instance it
+    // constructs replaces the one created on import before that one is seen
+    queueMicrotask(() => {
+      if (!this.destroyed) this.notifyReady();
+    });
   }
 
   /**
    * Notify parent window that child is ready for communication
+   * Sent once on startup and again in answer to every 'rpc-hello', then
+   * addressed to the origin of the hello
    */
-  notifyReady() {
-    this.parentWindow.postMessage({
+  notifyReady(origin) {
+    this.announced = true;
+    this.postToWindow({
       type: 'child-ready',
+      version: PROTOCOL_VERSION,
+      methods: this.getMethodNames(),
+      capabilities: [...this.capabilities],
+      session: this.session,
       url: window.location.href
-    }, this.targetOrigin);
+    }, [], origin ? toTargetOrigin(origin) : this.getTargetOrigin());
+  }
+
+  /**
+   * Names of the methods callable by the parent, announced during the handshake
+   */
+  getMethodNames() {
+    return [...new Set([...BUILT_IN_METHODS, ...this.exposedMethods.keys()])];
   }
 
   /**
-   * Handle incoming postMessage events
+   * Handle incoming postMessage events on the window
+   * Once the parent handed us a MessagePort, the window only carries the handshake
    */
   handleMessage(event) {
-    const { type, id, method, args, result, error } = event.data;
+    if (!isChannelMessage(event.data, this.channel, MESSAGE_TYPES)) return;
+    if (!this.acceptMessage(event)) return;
 
-    if (type === 'rpc-request') {
-      this.handleRequest(event, id, method, args);
-    } else if (type === 'rpc-response') {
-      this.handleResponse(id, result, error);
+    const { type } = event.data;
+
+    if (type === 'rpc-hello') {
+      // Hellos addressed to a session only probe that instance
+      if (!event.data.session || event.data.session === this.session) {
+        this.notifyReady(event.origin);
+      }
+    } else if (type === 'rpc-ack') {
+      this.handleAck(event);
+    } else if (!this.connected) {
+      // Nothing but the handshake before the parent acknowledged us
+      this.rejectMessage(event, 'not-connected');
+    } else if (event.data.instance !== this.peer.instance) {
+      // Only the parent instance that acknowledged us may talk to us
+      this.rejectMessage(event, 'unknown-instance');
+    } else if (!this.port) {
+      this.dispatch(event.data);
     }
   }
 
   /**
-   * Handle RPC requests from parent
+   * Handle messages arriving on the private MessagePort
    */
-  async handleRequest(event, id, method, args) {
-    // Built-in methods
-    if (method === 'ping') {
-      this.sendResponse(id, 'pong', null);
-      return;
-    }
+  handlePortMessage(event) {
+    if (!isChannelMessage(event.data, this.channel, MESSAGE_TYPES)) return;
+    this.dispatch(event.data);
+  }
 
-    if (method === 'getInfo') {
-      this.sendResponse(id, this.getPageInfo(), null);
-      return;
+  /**
+   * Complete the handshake once the parent acknowledges our announcement
+   * An ack that opens a connection says which transport to use from now on:
+   * 'port' comes with the MessagePort to switch to, 'window' keeps postMessage
+   */
+  handleAck(event) {
+    const { version, methods = [], capabilities = [], session, transport } = event.data;
+
+    // Acks addressed to another EmbedApi instance in this window are not ours
+    if (session !== this.session) return;
+
+    // A new connection starts without callbacks handed to a previous parent
+    const isNewConnection = !this.connected || transport !== undefined;
+    if (!this.connected) {
+      this.callbacks.clear();
     }
 
-    // Custom exposed methods
-    if (!this.exposedMethods.has(method)) {
-      this.sendResponse(id, null, `Method '${method}' not found`);
-      return;
+    if (transport === 'port' && event.ports && event.ports[0]) {
+      this.setPort(event.ports[0]);
+    } else if (transport) {
+      this.closePort();
     }
 
-    try {
-      const handler = this.exposedMethods.get(method);
-      const result = await handler(...args);
-      this.sendResponse(id, result, null);
-    } catch (error) {
-      this.sendResponse(id, null, error.message);
+    // The handshake is complete: from now on we only talk to this origin
+    this.pinOrigin(event.origin);
+    this.peer = { version, methods, capabilities, instance: event.data.instance };
+    this.connected = true;
+    this.flushOutbox();
+
+    // Tell a new parent about the size we are already tracking
+    if (isNewConnection && this.contentSize) {
+      this.reportSize();
     }
   }
 
+  setPort(port) {
+    this.closePort();
+    this.port = port;
+    this.port.onmessage = (event) => this.handlePortMessage(event);
+  }
+
   /**
-   * Handle RPC responses from parent
+   * Check that a message comes from our parent window and an allowed origin
    */
-  handleResponse(id, result, error) {
-    const request = this.pendingRequests.get(id);
-    if (!request) return;
+  acceptMessage(event) {
+    let reason = null;
 
-    this.pendingRequests.delete(id);
+    if (event.source !== this.parentWindow) {
+      reason = 'unknown-source';
+    } else if (!this.isAllowedOrigin(event.origin)) {
+      reason = 'origin-not-allowed';
+    } else if (this.peerOrigin && event.origin !== this.peerOrigin) {
+      reason = 'origin-mismatch';
+    }
 
-    if (error) {
-      request.reject(new Error(error));
-    } else {
-      request.resolve(result);
+    if (reason) {
+      this.rejectMessage(event, reason);
+      return false;
     }
+    return true;
   }
 
   /**
-   * Send RPC response to parent
+   * Answer built-in methods, returns false for anything else
+   * Those that read or fill the page are denied unless the parent was granted
+   * their capability; an exposed method of the same name replaces the built-in one
    */
-  sendResponse(id, result, error) {
-    this.parentWindow.postMessage({
-      type: 'rpc-response',
-      id,
-      result,
-      error
-    }, this.targetOrigin);
+  handleBuiltIn(id, method, args) {
+    const builtIn = BUILT_INS.get(method);
+    if (!builtIn || (BUILT_IN_POLICIES.has(method) && this.exposedMethods.has(method))) {
+      return false;
+    }
+
+    // Denied capabilities and failures go back to the parent as the call's error
+    try {
+      if (BUILT_IN_POLICIES.has(method)) {
+        this.checkPermission(method);
+      }
+      this.sendResponse(id, builtIn(this, args), null);
+    } catch (error) {
+      this.sendResponse(id, null, serializeError(error));
+    }
+    return true;
   }
 
   /**
-   * Call a method on the parent window
+   * Run the policy of a method against the parent, throws when denied
+   * Built-in methods that read or fill the page require a capability: 'content'
+   * for 'getContent', 'watch' and 'unwatch', 'forms' for 'fillForm'. Granting it (the capabilities option) or exposing your own
+   * method of the same name opts in
    */
-  call(method, ...args) {
-    return new Promise((resolve, reject) => {
-      const id = ++this.messageId;
-      
-      this.pendingRequests.set(id, { resolve, reject });
-
-      this.parentWindow.postMessage({
-        type: 'rpc-request',
-        id,
-        method,
-        args
-      }, this.targetOrigin);
-
-      // Timeout after 10 seconds
-      setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error(`RPC call '${method}' timed out`));
-        }
-      }, 10000);
-    });
+  checkPermission(method) {
+    const policy = this.exposedMethods.has(method) ? null : BUILT_IN_POLICIES.get(method);
+    if (policy) {
+      policy({ method, origin: this.peerOrigin, granted: this.capabilities });
+    } else {
+      super.checkPermission(method);
+    }
   }
 
   /**
-   * Expose a method to be called by the parent
+   * Schema descriptors of the exposed methods, keyed by method name
+   * Methods exposed without schemas are listed with an empty descriptor;
+   * generateContract() turns the result into a TypeScript contract
    */
-  expose(method, handler) {
-    this.exposedMethods.set(method, handler);
+  describeMethods() {
+    const descriptors = {};
+    for (const method of this.exposedMethods.keys()) {
+      const { params, result } = this.methodSchemas.get(method) || {};
+      descriptors[method] = {};
+      if (params) descriptors[method].params = params;
+      if (result) descriptors[method].result = result;
+    }
+    return descriptors;
   }
 
   /**
-   * Remove an exposed method
+   * The parent closed the connection (rpc.destroy()): fail every pending call
+   * and wait for the next handshake
    */
-  unexpose(method) {
-    this.exposedMethods.delete(method);
+  handlePeerClose() {
+    this.connected = false;
+    this.peerOrigin = null;
+    this.closePort();
+    this.callbacks.clear();
+    this.stopRemoteWatchers();
+    this.abortHandlers();
+    this.rejectPending(new ConnectionClosedError('Parent closed the connection'));
   }
 
   /**
@@ -168,30 +342,112 @@ export class EmbedApi {
   }
 
   /**
-   * Get page content (similar to what parent could extract if same-origin)
+   * Get page content, the same data extractFromFrame() returns for a
+   * same-origin frame and with the same options (fields, selector, limit,
+   * maxTextLength, includeHidden...). Registered extractors are available
+   * as extra fields
    */
-  getContent() {
-    return {
-      title: document.title,
-      url: window.location.href,
-      text: document.body ? document.body.textContent : '',
-      html: document.documentElement.outerHTML,
-      links: Array.from(document.querySelectorAll('a')).map(a => ({
-        href: a.href,
-        text: a.textContent.trim()
-      })),
-      images: Array.from(document.querySelectorAll('img')).map(img => ({
-        src: img.src,
-        alt: img.alt
-      })),
-      meta: Array.from(document.querySelectorAll('meta')).map(meta => ({
-        name: meta.name,
-        content: meta.content,
-        property: meta.getAttribute('property')
-      })).filter(meta => meta.name || meta.property)
+  getContent(options = {}) {
+    return extractContent(document, {
+      ...options,
+      extractors: { ...Object.fromEntries(this.extractors), ...options.extractors }
+    });
+  }
+
+  /**
+   * Add a custom field to getContent(), also available to the parent through
+   * the built-in 'getContent' method. The extractor is called with the
+   * extraction context (see shared/extract.js). Returns a function that removes it
+   */
+  registerExtractor(name, extractor) {
+    if (typeof extractor !== 'function') {
+      throw new TypeError(`Extractor '${name}' must be a function`);
+    }
+    this.extractors.set(name, extractor);
+    return () => {
+      if (this.extractors.get(name) === extractor) this.extractors.delete(name);
     };
   }
 
+  /**
+   * Fill a form of the page with `values` ({ [field name]: value }) and
+   * submit it when `options.submit` is set, also available to the parent
+   * through the built-in 'fillForm' method. The form is a CSS selector or an
+   * index in document.forms; see shared/forms.js for how values are written.
+   * Returns { filled, missing, submitted }
+   */
+  fillForm(formSelector, values, options = {}) {
+    return fillForm(findForm(document, formSelector), values, options);
+  }
+
+  /**
+   * Call `callback(changes, content)` whenever the page content changes
+   * Options are the getContent() options plus `debounce` (default 100 ms),
+   * see shared/watch.js for the shape of the changes. Returns a function
+   * that stops watching
+   */
+  watch(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback !== 'function') {
+      throw new TypeError('watch() expects a callback');
+    }
+
+    return observeContent(document, {
+      ...options,
+      extractors: { ...Object.fromEntries(this.extractors), ...(options && options.extractors) }
+    }, callback);
+  }
+
+  /**
+   * Built-in 'watch': the parent passes its options and a callback, which is
+   * called through RPC on every change. Returns the id 'unwatch' takes
+   */
+  watchForParent(args) {
+    const [options = {}, callback] = unmarshalCallbacks(args, (callbackId) => this.createCallbackProxy(callbackId));
+    if (typeof callback !== 'function') {
+      throw new ValidationError('watch', [{ path: 'params[1]', message: 'must be a function' }]);
+    }
+    // Elements and functions cannot come from the parent
+    const { root, extractors, ...watchOptions } = options || {};
+
+    const stop = this.watch(watchOptions, (changes, content) => {
+      callback(changes, content).catch(() => {});
+    });
+
+    const watchId = ++this.watchId;
+    this.remoteWatchers.set(watchId, { stop, callback });
+    return watchId;
+  }
+
+  /**
+   * Built-in 'unwatch': stop a watcher started by the parent
+   * Returns false when it is already stopped
+   */
+  unwatchForParent(watchId) {
+    if (!Number.isInteger(watchId)) {
+      throw new ValidationError('unwatch', [{ path: 'params[0]', message: 'must be a watch id' }]);
+    }
+
+    const watcher = this.remoteWatchers.get(watchId);
+    if (!watcher) return false;
+
+    this.remoteWatchers.delete(watchId);
+    watcher.stop();
+    watcher.callback.release();
+    return true;
+  }
+
+  /**
+   * Stop every watcher started by the parent, e.g. when it goes away
+   */
+  stopRemoteWatchers() {
+    this.remoteWatchers.forEach(({ stop }) => stop());
+    this.remoteWatchers.clear();
+  }
+
   /**
    * Resize the iframe (requests parent to resize)
    */
@@ -200,34 +456,83 @@ export class EmbedApi {
   }
 
   /**
-   * Request navigation in parent window
+   * Keep the iframe sized to our content: the size is observed with
+   * ResizeObserver/MutationObserver and reported through requestResize()
+   * whenever it changes, at most once per `debounce` ms
+   * Options: element (default document.documentElement), debounce (default 100),
+   * width (also report the element's width, default false: only the height
+   * follows the content)
+   * Returns a function that stops auto-resizing
    */
-  requestNavigation(url, target = '_parent') {
-    return this.call('navigate', url, target);
+  autoResize({ element = document.documentElement, debounce = 100, width = false } = {}) {
+    this.stopAutoResize();
+
+    this.stopObservingSize = observeSize(element, (size) => {
+      this.contentSize = size;
+      if (this.connected) {
+        this.reportSize();
+      }
+    }, { debounce, width });
+
+    return () => this.stopAutoResize();
   }
 
   /**
-   * Send custom event to parent
+   * Stop observing the content size
    */
-  sendEvent(eventName, data) {
-    this.parentWindow.postMessage({
-      type: 'child-event',
-      event: eventName,
-      data
-    }, this.targetOrigin);
+  stopAutoResize() {
+    if (this.stopObservingSize) {
+      this.stopObservingSize();
+      this.stopObservingSize = null;
+    }
+    this.contentSize = null;
+  }
+
+  reportSize() {
+    const { width, height } = this.contentSize;
+    this.requestResize(width, height).catch(error => {
+      console.warn('Auto-resize request failed:', error);
+    });
   }
 
   /**
-   * Destroy the API and clean up listeners
+   * Request navigation in parent window
+   * target is '_parent' (default), '_top', '_blank' or '_self' (this frame); the
+   * parent's policy decides, a refused request rejects with a NavigationError
+   */
+  requestNavigation(url, target = '_parent') {
+    return this.call('navigate', url, target);
+  }
+
+  /**
+   * Close the connection and release everything this instance holds
+   * The parent is told the connection closed, running handlers are aborted,
+   * pending calls reject with a ConnectionClosedError (so does every later
+   * call) and auto-resize and all timers stop. Calling it again does nothing
    */
   destroy() {
-    window.removeEventListener('message', this.handleMessage);
-    this.pendingRequests.clear();
-    this.exposedMethods.clear();
+    if (this.destroyed) return;
+
+    if (this.connected) {
+      this.transmit({ type: 'rpc-close' });
+    } else if (this.announced) {
+      // A parent may have answered our announcement already
+      this.postToWindow({ type: 'rpc-close' });
+    }
+    this.destroyed = true;
+    this.connected = false;
+    if (this.messageListener) {
+      window.removeEventListener('message', this.messageListener);
+    }
+
+    this.stopAutoResize();
+    this.stopRemoteWatchers();
+    this.releaseAll(new ConnectionClosedError());
   }
 }
 
-// Auto-initialize if in iframe
+// Auto-initialize if in iframe; constructing an EmbedApi replaces this instance
 if (typeof window !== 'undefined' && window !== window.parent) {
-  window.embedApi = new EmbedApi();
+  autoInstance = new EmbedApi();
+  window.embedApi = autoInstance;
 }
\ No newline at end of file
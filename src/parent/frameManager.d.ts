@@ -0,0 +1,166 @@
+/**
+ * Type declarations for FrameManager, the main parent-side API, see frameManager.js
+ */
+
+import { AnyContract, MethodName, MethodParams, MethodResult, Remote } from '../shared/contract.js';
+import { OriginMatcher } from '../shared/permissions.js';
+import { Middleware } from '../shared/middleware.js';
+import { BatchOptions } from '../shared/batching.js';
+import { StreamChunk, StreamReader } from '../shared/streams.js';
+import { ExtractionResult, ExtractOptions, Extractor } from '../shared/extract.js';
+import { WatchCallback, WatchOptions } from '../shared/watch.js';
+import { FillFormOptions, FillFormResult, FormSelector, FormValues } from '../shared/forms.js';
+import { NavigationPolicy, NavigationRequest } from './navigation.js';
+import { EventHandler, ExposeOptions, Handler, PeerInfo, RejectedMessage, RPC } from './rpc.js';
+
+export type { AnyContract, MethodName, MethodParams, MethodResult, Remote } from '../shared/contract.js';
+export type { MethodDescriptor, ParamSchema, Schema } from '../shared/schema.js';
+export type { Middleware, MiddlewareContext, MiddlewareFunction } from '../shared/middleware.js';
+export type { BatchOptions } from '../shared/batching.js';
+export type { StreamChunk, StreamOptions, StreamReader } from '../shared/streams.js';
+export type {
+  ArticleContent,
+  ArticleInfo,
+  ExtractedContent,
+  ExtractedForm,
+  ExtractedImage,
+  ExtractedLink,
+  ExtractedMeta,
+  ExtractedTable,
+  ExtractionField,
+  ExtractionResult,
+  ExtractOptions,
+  Extractor,
+  ExtractorContext,
+  HeadingEntry,
+  OpenGraphData,
+  StructuredContent,
+  StructuredItem
+} from '../shared/extract.js';
+export type {
+  FillFormOptions,
+  FillFormResult,
+  FormDescription,
+  FormField,
+  FormFieldOption,
+  FormFieldset,
+  FormSelector,
+  FormValues
+} from '../shared/forms.js';
+export type { ContentChanges, FormChange, ListChange, ValueChange, WatchCallback, WatchOptions } from '../shared/watch.js';
+export type { NavigationPolicy, NavigationRequest, NavigationTarget } from './navigation.js';
+
+export interface ResizeOptions {
+  mode?: 'both' | 'height' | 'width';
+  minWidth?: number;
+  maxWidth?: number;
+  minHeight?: number;
+  maxHeight?: number;
+}
+
+export interface FrameManagerOptions {
+  allowedOrigins?: OriginMatcher | OriginMatcher[];
+  onRejectedMessage?: (info: RejectedMessage) => void;
+  useMessageChannel?: boolean;
+  channel?: string;
+  /** Re-run the handshake when a connected child reloads or navigates (default true) */
+  reconnect?: boolean;
+  pendingCallPolicy?: 'reject' | 'replay';
+  resize?: ResizeOptions;
+  /**
+   * Policy for navigation requests from children, `{}` allows URLs on this
+   * page's origin. Without it children are not granted 'navigation'
+   */
+  navigation?: NavigationPolicy | false;
+  /**
+   * Capabilities granted to every child (default ['navigation'] when a
+   * navigation policy is configured, none otherwise)
+   */
+  capabilities?: string[];
+  /** Middleware every RPC instance uses */
+  middleware?: Middleware[];
+  /** Batch the calls of every RPC instance */
+  batch?: boolean | BatchOptions;
+}
+
+export interface SetupOptions {
+  /** Handshake timeout in ms (default 5000) */
+  timeout?: number;
+  /** Capabilities granted to this child */
+  capabilities?: string[];
+}
+
+export interface SameOriginConnection {
+  type: 'same-origin';
+  extract(options?: ExtractOptions): ExtractionResult;
+  getDocument(): Document;
+  watch(options: WatchOptions, callback: WatchCallback): Promise<() => Promise<void>>;
+  fillForm(formSelector: FormSelector, values: FormValues, options?: FillFormOptions): Promise<FillFormResult>;
+}
+
+export interface CrossOriginConnection<C = AnyContract> {
+  type: 'cross-origin';
+  rpc: RPC<C>;
+  remote: Remote<C>;
+  call<K extends MethodName<C>>(method: K, ...args: MethodParams<C, K>): Promise<MethodResult<C, K>>;
+  stream<K extends MethodName<C>>(method: K, ...args: MethodParams<C, K>): StreamReader<StreamChunk<MethodResult<C, K>>>;
+  expose(method: string, handler: Handler, options?: ExposeOptions): void;
+  on(event: string, handler: EventHandler): () => void;
+  use(middleware: Middleware): () => void;
+  watch(options: WatchOptions, callback: WatchCallback): Promise<() => Promise<void>>;
+  fillForm(formSelector: FormSelector, values: FormValues, options?: FillFormOptions): Promise<FillFormResult>;
+  sendEvent(event: string, data?: unknown): void;
+}
+
+export type Connection<C = AnyContract> = SameOriginConnection | CrossOriginConnection<C>;
+
+export interface FrameEvents {
+  disconnected: { iframe: HTMLIFrameElement; rpc: RPC };
+  reconnected: { iframe: HTMLIFrameElement; rpc: RPC; peer: PeerInfo };
+  'reconnect-failed': { iframe: HTMLIFrameElement; rpc: RPC; error: Error };
+  resize: { iframe: HTMLIFrameElement; width?: number; height?: number };
+  navigate: NavigationRequest & { iframe: HTMLIFrameElement };
+}
+
+export interface CreateFrameOptions {
+  width?: string;
+  height?: string;
+  border?: string;
+  sandbox?: string | string[];
+  allow?: string;
+  loading?: 'eager' | 'lazy';
+  referrerPolicy?: ReferrerPolicy;
+}
+
+export interface CleanupOptions {
+  /** Also remove the iframe from the document */
+  remove?: boolean;
+}
+
+export class FrameManager {
+  constructor(options?: FrameManagerOptions);
+
+  on<E extends keyof FrameEvents>(event: E, handler: (event: FrameEvents[E]) => void): () => void;
+  once<E extends keyof FrameEvents>(event: E, handler: (event: FrameEvents[E]) => void): () => void;
+  off<E extends keyof FrameEvents>(event: E, handler?: (event: FrameEvents[E]) => void): void;
+
+  isSameOrigin(iframe: HTMLIFrameElement): boolean;
+  extractFromFrame(iframe: HTMLIFrameElement, options?: ExtractOptions): ExtractionResult;
+  registerExtractor(name: string, extractor: Extractor): () => void;
+  watch(iframe: HTMLIFrameElement, options: WatchOptions, callback: WatchCallback): Promise<() => Promise<void>>;
+  watch(iframe: HTMLIFrameElement, callback: WatchCallback): Promise<() => Promise<void>>;
+  fillForm(iframe: HTMLIFrameElement, formSelector: FormSelector, values: FormValues, options?: FillFormOptions): Promise<FillFormResult>;
+
+  setupRPC<C = AnyContract>(iframe: HTMLIFrameElement, options?: SetupOptions | number): Promise<RPC<C>>;
+  getRPC<C = AnyContract>(iframe: HTMLIFrameElement): RPC<C> | undefined;
+  connect<C = AnyContract>(iframe: HTMLIFrameElement, options?: SetupOptions): Promise<Connection<C>>;
+  reconnect(iframe: HTMLIFrameElement): Promise<RPC | null>;
+
+  resizeFrame(iframe: HTMLIFrameElement, width?: number, height?: number): { width?: number; height?: number };
+  navigate(iframe: HTMLIFrameElement, url: string, target?: string): Promise<NavigationRequest>;
+
+  waitForLoad(iframe: HTMLIFrameElement): Promise<void>;
+  createFrame(src: string, options?: CreateFrameOptions): HTMLIFrameElement;
+  cleanup(iframe: HTMLIFrameElement, options?: CleanupOptions): void;
+  destroyAll(options?: CleanupOptions): void;
+}
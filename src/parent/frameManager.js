@@ -3,11 +3,68 @@
  * Automatically detects same-origin vs cross-origin scenarios and provides appropriate APIs
  */
 
-import { RPC } from './rpc.js';
+import { RPC, RpcError } from './rpc.js';
+import { createRemote } from './remote.js';
+import { createNavigationPolicy, performNavigation } from './navigation.js';
+import { NavigationError } from '../shared/errors.js';
+import { Emitter } from '../shared/emitter.js';
+import { extractContent } from '../shared/extract.js';
+import { observeContent } from '../shared/watch.js';
+import { fillForm, findForm } from '../shared/forms.js';
 
 export class FrameManager {
-  constructor() {
-    this.rpcInstances = new WeakMap();
+  /**
+   * Options:
+   * - allowedOrigins: child origins allowed to talk to us, passed to every RPC instance
+   * - onRejectedMessage: audit hook for messages dropped by any RPC instance
+   * - useMessageChannel: give each connection a private MessagePort (default true)
+   * - channel: message namespace, must match the channel of the children's EmbedApi
+   * - reconnect: re-run the handshake when a connected child reloads or navigates (default true)
+   * - pendingCallPolicy: what happens to in-flight calls when the child goes away,
+   *   'reject' them immediately (default) or 'replay' them once reconnected
+   * - resize: how size reports from children (requestResize/autoResize) are applied,
+   *   { mode: 'both' | 'height' | 'width', minWidth, maxWidth, minHeight, maxHeight }
+   * - navigation: policy for navigation requests from children, see createNavigationPolicy
+   *   (`{}` allows URLs on this page's origin), or false to refuse them all. Without
+   *   it children are not granted 'navigation' and cannot request navigation at all
+   * - capabilities: capabilities granted to every child unless connect()/setupRPC()
+   *   grant a different set (default ['navigation'] when a navigation policy is
+   *   configured, none otherwise)
+   * - middleware: middleware every RPC instance uses, see rpc.use()
+   * - batch: batch the calls of every RPC instance, see the RPC batch option
+   */
+  constructor(options = {}) {
+    this.options = { reconnect: true, pendingCallPolicy: 'reject', ...options };
+    this.resizeOptions = { mode: 'both', ...options.resize };
+    this.checkNavigation = options.navigation === false ? null : createNavigationPolicy(options.navigation);
+    // Configuring a navigation policy is what lets children request navigation
+    this.capabilities = options.capabilities
+      || (options.navigation !== undefined && options.navigation !== false ? ['navigation'] : []);
+    this.events = new Emitter();
+    // Maps rather than WeakMaps so destroyAll() can reach every frame
+    this.rpcInstances = new Map();
+    this.pendingSetups = new Map();
+    this.frameWatchers = new WeakMap();
+    this.reconnecting = new WeakMap();
+    this.extractors = new Map();
+    this.contentWatches = new Map();
+  }
+
+  /**
+   * Subscribe to frame lifecycle events: 'disconnected', 'reconnected', 'reconnect-failed'
+   * (handlers receive { iframe, rpc, peer?, error? }), 'resize' ({ iframe, width, height })
+   * and 'navigate' ({ iframe, url, target })
+   */
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  once(event, handler) {
+    return this.events.once(event, handler);
+  }
+
+  off(event, handler) {
+    this.events.off(event, handler);
   }
 
   /**
@@ -25,8 +82,11 @@ export class FrameManager {
 
   /**
    * Extract data from a same-origin iframe
+   * Options select fields, scope, limits and custom extractors, see
+   * extractContent() in shared/extract.js; they mean the same as for the
+   * child's getContent()
    */
-  extractFromFrame(iframe) {
+  extractFromFrame(iframe, options = {}) {
     if (!this.isSameOrigin(iframe)) {
       throw new Error('Cannot extract from cross-origin iframe. Use setupRPC() instead.');
     }
@@ -36,73 +96,309 @@ export class FrameManager {
       throw new Error('Iframe document not accessible');
     }
 
-    return {
-      title: doc.title,
-      url: doc.URL,
-      html: doc.documentElement.outerHTML,
-      text: doc.body ? doc.body.textContent : '',
-      links: Array.from(doc.querySelectorAll('a')).map(a => ({
-        href: a.href,
-        text: a.textContent.trim()
-      })),
-      images: Array.from(doc.querySelectorAll('img')).map(img => ({
-        src: img.src,
-        alt: img.alt
-      })),
-      forms: Array.from(doc.querySelectorAll('form')).map(form => ({
-        action: form.action,
-        method: form.method,
-        fields: Array.from(form.querySelectorAll('input, select, textarea')).map(field => ({
-          name: field.name,
-          type: field.type,
-          value: field.value
-        }))
-      })),
-      meta: Array.from(doc.querySelectorAll('meta')).map(meta => ({
-        name: meta.name,
-        content: meta.content,
-        property: meta.getAttribute('property')
-      })).filter(meta => meta.name || meta.property)
+    return extractContent(doc, {
+      ...options,
+      extractors: { ...Object.fromEntries(this.extractors), ...options.extractors }
+    });
+  }
+
+  /**
+   * Add a custom field to extractFromFrame(), called with the extraction
+   * context (see shared/extract.js). Returns a function that removes it
+   */
+  registerExtractor(name, extractor) {
+    if (typeof extractor !== 'function') {
+      throw new TypeError(`Extractor '${name}' must be a function`);
+    }
+    this.extractors.set(name, extractor);
+    return () => {
+      if (this.extractors.get(name) === extractor) this.extractors.delete(name);
     };
   }
 
+  /**
+   * Watch an iframe's content and call `callback(changes, content)` whenever
+   * it changes. Options are the extractFromFrame() options plus `debounce`
+   * (default 100 ms); see shared/watch.js for the shape of the changes.
+   * Same-origin documents are observed directly (again after each load),
+   * cross-origin children through their built-in 'watch' method (again after
+   * each reconnection). Resolves to a function that stops watching
+   */
+  async watch(iframe, options = {}, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback !== 'function') {
+      throw new TypeError('watch() expects a callback');
+    }
+
+    const stop = this.isSameOrigin(iframe)
+      ? this.watchDocument(iframe, options, callback)
+      : await this.watchChild(iframe, options, callback);
+
+    if (!this.contentWatches.has(iframe)) {
+      this.contentWatches.set(iframe, new Set());
+    }
+    const watches = this.contentWatches.get(iframe);
+    const unwatch = async () => {
+      watches.delete(unwatch);
+      if (watches.size === 0 && this.contentWatches.get(iframe) === watches) {
+        this.contentWatches.delete(iframe);
+      }
+      await stop();
+    };
+    watches.add(unwatch);
+    return unwatch;
+  }
+
+  watchDocument(iframe, options, callback) {
+    const extractors = { ...Object.fromEntries(this.extractors), ...options.extractors };
+    let stopObserving = observeContent(iframe.contentDocument, { ...options, extractors }, callback);
+
+    // A new document replaces the observed one on every load
+    const onLoad = () => {
+      stopObserving();
+      try {
+        stopObserving = observeContent(iframe.contentDocument, { ...options, extractors }, callback);
+      } catch (error) {
+        stopObserving = () => {};
+      }
+    };
+    iframe.addEventListener('load', onLoad);
+
+    return () => {
+      iframe.removeEventListener('load', onLoad);
+      stopObserving();
+    };
+  }
+
+  async watchChild(iframe, options, callback) {
+    const rpc = await this.setupRPC(iframe);
+    // A function of our own, so releasing it never affects the caller's other watches
+    const onChange = (changes, content) => callback(changes, content);
+    let watchId = await rpc.call('watch', options, onChange);
+
+    // A reloaded child has forgotten the watcher
+    const off = this.events.on('reconnected', (event) => {
+      if (event.iframe !== iframe) return;
+      rpc.call('watch', options, onChange)
+        .then((id) => { watchId = id; })
+        .catch(() => {});
+    });
+
+    return async () => {
+      off();
+      try {
+        await rpc.call('unwatch', watchId);
+      } catch (error) {
+        // The child is gone, and its watcher with it
+      } finally {
+        rpc.releaseCallback(onChange);
+      }
+    };
+  }
+
+  /**
+   * Fill a form in an iframe with `values` ({ [field name]: value }) and
+   * submit it when `options.submit` is set. The form is a CSS selector or an
+   * index in document.forms. Same-origin documents are filled directly,
+   * cross-origin children through their built-in 'fillForm' method; values
+   * are written like a user would, firing input and change events (see
+   * shared/forms.js). Resolves to { filled, missing, submitted }
+   */
+  async fillForm(iframe, formSelector, values, options = {}) {
+    if (this.isSameOrigin(iframe)) {
+      const doc = iframe.contentDocument;
+      if (!doc) {
+        throw new Error('Iframe document not accessible');
+      }
+      return fillForm(findForm(doc, formSelector), values, options);
+    }
+
+    const rpc = await this.setupRPC(iframe);
+    return rpc.call('fillForm', formSelector, values, options);
+  }
+
   /**
    * Set up RPC communication with a cross-origin iframe
+   * Resolves once the child has completed the handshake, rejects on timeout
+   * Options (a number is treated as timeout):
+   * - timeout: handshake timeout in ms (default 5000)
+   * - capabilities: capabilities granted to this child, e.g. ['navigation']
+   *   (defaults to the manager's capabilities option)
    */
-  async setupRPC(iframe, timeout = 5000) {
+  async setupRPC(iframe, options = {}) {
+    if (typeof options === 'number') {
+      options = { timeout: options };
+    }
+    const { timeout = 5000, capabilities = this.capabilities } = options;
+
     if (this.isSameOrigin(iframe)) {
       console.warn('Frame is same-origin. Consider using extractFromFrame() for direct access.');
     }
 
-    // Check if we already have an RPC instance for this iframe
+    // Check if we already have an RPC instance (or a handshake in flight) for this iframe
     if (this.rpcInstances.has(iframe)) {
       return this.rpcInstances.get(iframe);
     }
+    if (this.pendingSetups.has(iframe)) {
+      return this.pendingSetups.get(iframe).promise;
+    }
 
-    return new Promise((resolve, reject) => {
-      const rpc = new RPC(iframe.contentWindow);
-      this.rpcInstances.set(iframe, rpc);
-
-      // Test connection by calling a ping method
-      const timeoutId = setTimeout(() => {
-        reject(new Error('RPC setup timeout - child frame may not be cooperative'));
-      }, timeout);
-
-      // Expose a ping method for child to test connection
-      rpc.expose('ping', () => 'pong');
-
-      // Try to establish connection
-      rpc.call('ping')
-        .then(() => {
-          clearTimeout(timeoutId);
-          resolve(rpc);
-        })
-        .catch(error => {
-          clearTimeout(timeoutId);
-          // If ping fails, still resolve with RPC instance - child may expose methods later
-          resolve(rpc);
-        });
+    const rpc = new RPC(iframe.contentWindow, {
+      allowedOrigins: this.options.allowedOrigins,
+      onRejectedMessage: this.options.onRejectedMessage,
+      useMessageChannel: this.options.useMessageChannel,
+      channel: this.options.channel,
+      capabilities,
+      middleware: this.options.middleware,
+      batch: this.options.batch,
+      onNewSession: () => this.reconnect(iframe),
+      onClose: () => this.events.emit('disconnected', { iframe, rpc })
     });
+
+    // Expose a ping method for child to test connection
+    rpc.expose('ping', () => 'pong');
+    rpc.expose('resizeFrame', (width, height) => this.resizeFrame(iframe, width, height));
+    rpc.expose('navigate', (url, target) => this.navigate(iframe, url, target), { capabilities: ['navigation'] });
+
+    const setup = rpc.handshake({ timeout })
+      .then(() => {
+        this.rpcInstances.set(iframe, rpc);
+        this.watchFrame(iframe, timeout);
+        return rpc;
+      })
+      .catch(error => {
+        rpc.destroy();
+        throw error;
+      })
+      .finally(() => {
+        // cleanup() may have replaced or dropped the entry meanwhile
+        if (this.pendingSetups.has(iframe) && this.pendingSetups.get(iframe).rpc === rpc) {
+          this.pendingSetups.delete(iframe);
+        }
+      });
+
+    this.pendingSetups.set(iframe, { rpc, promise: setup });
+    return setup;
+  }
+
+  /**
+   * Watch a connected iframe for reloads and navigations
+   */
+  watchFrame(iframe, timeout) {
+    if (!this.options.reconnect || this.frameWatchers.has(iframe)) return;
+
+    const onLoad = () => this.reconnect(iframe);
+    iframe.addEventListener('load', onLoad);
+    this.frameWatchers.set(iframe, { onLoad, timeout });
+  }
+
+  /**
+   * Re-establish the connection after the child reloaded or navigated
+   * Nothing happens while the child instance we are connected to still answers
+   */
+  reconnect(iframe) {
+    if (this.reconnecting.has(iframe)) {
+      return this.reconnecting.get(iframe);
+    }
+
+    const rpc = this.rpcInstances.get(iframe);
+    if (!rpc) {
+      return Promise.resolve(null);
+    }
+
+    const attempt = this.runReconnect(iframe, rpc)
+      .finally(() => this.reconnecting.delete(iframe));
+
+    this.reconnecting.set(iframe, attempt);
+    return attempt;
+  }
+
+  async runReconnect(iframe, rpc) {
+    if (await rpc.checkSession()) {
+      return rpc;
+    }
+    // cleanup() ran while we were waiting
+    if (rpc.destroyed) {
+      return null;
+    }
+
+    const replay = this.options.pendingCallPolicy === 'replay';
+    const { timeout } = this.frameWatchers.get(iframe) || {};
+    const wasConnected = rpc.connected;
+
+    rpc.disconnect();
+    if (!replay) {
+      rpc.rejectPending(new RpcError('Connection to child frame lost', { code: 'CONNECTION_LOST' }));
+    }
+    if (wasConnected) {
+      this.events.emit('disconnected', { iframe, rpc });
+    }
+
+    let peer;
+    try {
+      peer = await rpc.handshake({ timeout });
+    } catch (error) {
+      rpc.rejectPending(error);
+      this.events.emit('reconnect-failed', { iframe, rpc, error });
+      return null;
+    }
+
+    if (replay) {
+      rpc.replayPending();
+    }
+    this.events.emit('reconnected', { iframe, rpc, peer });
+    return rpc;
+  }
+
+  /**
+   * Apply a size reported by the child to the iframe element
+   * The size is limited to the configured bounds and dimensions outside the
+   * resize mode are ignored. Emits 'resize' when the element size changed and
+   * returns the applied { width, height }
+   */
+  resizeFrame(iframe, width, height) {
+    const { mode, minWidth, maxWidth, minHeight, maxHeight } = this.resizeOptions;
+    const size = {};
+
+    if (mode !== 'height' && isSize(width)) {
+      size.width = clamp(width, minWidth, maxWidth);
+    }
+    if (mode !== 'width' && isSize(height)) {
+      size.height = clamp(height, minHeight, maxHeight);
+    }
+
+    const previous = { width: iframe.style.width, height: iframe.style.height };
+    if (size.width !== undefined) iframe.style.width = `${size.width}px`;
+    if (size.height !== undefined) iframe.style.height = `${size.height}px`;
+
+    if (iframe.style.width !== previous.width || iframe.style.height !== previous.height) {
+      this.events.emit('resize', { iframe, ...size });
+    }
+
+    return size;
+  }
+
+  /**
+   * Navigate on behalf of a child after checking the navigation policy
+   * Relative URLs resolve against the child's URL. Resolves to the approved
+   * { url, target }, rejects with a NavigationError otherwise
+   */
+  async navigate(iframe, url, target = '_parent') {
+    if (!this.checkNavigation) {
+      throw new NavigationError('disabled', { url, target });
+    }
+
+    const rpc = this.rpcInstances.get(iframe);
+    const childUrl = rpc && rpc.peer ? rpc.peer.url : null;
+    const base = childUrl && /^https?:/.test(childUrl) ? childUrl : window.location.href;
+
+    const request = await this.checkNavigation({ url, target, base, iframe });
+    performNavigation(iframe, request);
+    this.events.emit('navigate', { iframe, ...request });
+    return request;
   }
 
   /**
@@ -114,21 +410,31 @@ export class FrameManager {
 
   /**
    * Auto-detect iframe type and provide appropriate interface
+   * Options are passed to setupRPC() for cross-origin frames
    */
-  async connect(iframe) {
+  async connect(iframe, options = {}) {
     if (this.isSameOrigin(iframe)) {
       return {
         type: 'same-origin',
-        extract: () => this.extractFromFrame(iframe),
+        extract: (extractOptions) => this.extractFromFrame(iframe, extractOptions),
+        watch: (watchOptions, callback) => this.watch(iframe, watchOptions, callback),
+        fillForm: (formSelector, values, fillOptions) => this.fillForm(iframe, formSelector, values, fillOptions),
         getDocument: () => iframe.contentDocument
       };
     } else {
-      const rpc = await this.setupRPC(iframe);
+      const rpc = await this.setupRPC(iframe, options);
       return {
         type: 'cross-origin',
         rpc,
+        remote: createRemote(rpc),
         call: (method, ...args) => rpc.call(method, ...args),
-        expose: (method, handler) => rpc.expose(method, handler)
+        stream: (method, ...args) => rpc.stream(method, ...args),
+        expose: (method, handler, options) => rpc.expose(method, handler, options),
+        on: (event, handler) => rpc.on(event, handler),
+        use: (middleware) => rpc.use(middleware),
+        watch: (watchOptions, callback) => this.watch(iframe, watchOptions, callback),
+        fillForm: (formSelector, values, fillOptions) => this.fillForm(iframe, formSelector, values, fillOptions),
+        sendEvent: (event, data) => rpc.sendEvent(event, data)
       };
     }
   }
@@ -178,13 +484,55 @@ export class FrameManager {
   }
 
   /**
-   * Clean up RPC instance for an iframe
+   * Tear down the connection to an iframe: stop watching it for reloads and
+   * destroy its RPC instance (or the one still handshaking), which rejects its
+   * pending calls with a ConnectionClosedError and tells the child
+   * Pass { remove: true } to also remove the iframe from the document
    */
-  cleanup(iframe) {
+  cleanup(iframe, { remove = false } = {}) {
+    const watches = this.contentWatches.get(iframe);
+    if (watches) {
+      this.contentWatches.delete(iframe);
+      watches.forEach(unwatch => unwatch());
+    }
+
+    const watcher = this.frameWatchers.get(iframe);
+    if (watcher) {
+      iframe.removeEventListener('load', watcher.onLoad);
+      this.frameWatchers.delete(iframe);
+    }
+
+    const setup = this.pendingSetups.get(iframe);
+    if (setup) {
+      this.pendingSetups.delete(iframe);
+      setup.rpc.destroy();
+    }
+
     const rpc = this.rpcInstances.get(iframe);
     if (rpc) {
-      rpc.destroy();
       this.rpcInstances.delete(iframe);
+      rpc.destroy();
+    }
+    this.reconnecting.delete(iframe);
+
+    if (remove) {
+      iframe.remove();
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Clean up every iframe this manager connected to, see cleanup()
+   */
+  destroyAll(options = {}) {
+    const frames = new Set([...this.rpcInstances.keys(), ...this.pendingSetups.keys(), ...this.contentWatches.keys()]);
+    frames.forEach(iframe => this.cleanup(iframe, options));
+  }
+}
+
+function isSize(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function clamp(value, min = 0, max = Infinity) {
+  return Math.min(Math.max(Math.round(value), min), max);
+}
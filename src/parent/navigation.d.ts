@@ -0,0 +1,27 @@
+/**
+ * Type declarations for the navigation policy, see navigation.js
+ */
+
+import { OriginMatcher } from '../shared/permissions.js';
+
+export type NavigationTarget = '_self' | '_parent' | '_top' | '_blank';
+
+export interface NavigationRequest {
+  url: string;
+  target: NavigationTarget;
+}
+
+export interface NavigationPolicy {
+  allowedOrigins?: OriginMatcher | OriginMatcher[];
+  allowedUrls?: string | RegExp | ((url: string) => boolean) | Array<string | RegExp | ((url: string) => boolean)>;
+  allowedTargets?: NavigationTarget[];
+  confirm?: (request: NavigationRequest & { iframe: HTMLIFrameElement }) => boolean | Promise<boolean>;
+}
+
+export const NAVIGATION_TARGETS: NavigationTarget[];
+
+export function createNavigationPolicy(
+  policy?: NavigationPolicy
+): (request: { url: string; target: string; base: string; iframe: HTMLIFrameElement }) => Promise<NavigationRequest>;
+
+export function performNavigation(iframe: HTMLIFrameElement, request: NavigationRequest): void;
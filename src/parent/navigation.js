@@ -0,0 +1,115 @@
+/**
+ * Navigation policy for the built-in 'navigate' method children call through
+ * embedApi.requestNavigation(url, target)
+ */
+
+import { createOriginMatcher } from '../shared/origin.js';
+import { NavigationError } from '../shared/errors.js';
+
+export const NAVIGATION_TARGETS = ['_self', '_parent', '_top', '_blank'];
+
+// javascript:, data: and friends could run code in the parent or a new window
+const NAVIGABLE_PROTOCOLS = new Set(['http:', 'https:']);
+
+/**
+ * Create an async check for navigation requests
+ *
+ * Policy options:
+ * - allowedOrigins: origins the URL may point to, see createOriginMatcher
+ *   (defaults to the origin of this page)
+ * - allowedUrls: URL patterns the URL must also match: strings with '*'
+ *   wildcards, RegExps or predicates receiving the URL string
+ * - allowedTargets: subset of '_self' (the iframe itself), '_parent', '_top'
+ *   and '_blank' (default all)
+ * - confirm: called with { url, target, iframe }, navigation is declined unless
+ *   it returns (or resolves to) true
+ *
+ * The check resolves to { url, target } with the absolute URL, or rejects
+ * with a NavigationError whose `reason` says which rule refused it
+ */
+export function createNavigationPolicy(policy = {}) {
+  const {
+    allowedOrigins = window.location.origin,
+    allowedUrls = null,
+    allowedTargets = NAVIGATION_TARGETS,
+    confirm = null
+  } = policy;
+
+  const isAllowedOrigin = createOriginMatcher(allowedOrigins);
+  const isAllowedUrl = allowedUrls ? createUrlMatcher(allowedUrls) : () => true;
+
+  return async ({ url, target, base, iframe }) => {
+    const resolved = resolveUrl(url, base);
+    if (!resolved) {
+      throw new NavigationError('invalid-url', { url, target });
+    }
+
+    const details = { url: resolved.href, target };
+
+    if (!NAVIGABLE_PROTOCOLS.has(resolved.protocol)) {
+      throw new NavigationError('protocol-not-allowed', details);
+    }
+    if (!isAllowedOrigin(resolved.origin) || !isAllowedUrl(resolved.href)) {
+      throw new NavigationError('url-not-allowed', details);
+    }
+    if (!NAVIGATION_TARGETS.includes(target) || !allowedTargets.includes(target)) {
+      throw new NavigationError('target-not-allowed', details);
+    }
+    if (typeof confirm === 'function' && await confirm({ ...details, iframe }) !== true) {
+      throw new NavigationError('declined', details);
+    }
+
+    return details;
+  };
+}
+
+/**
+ * Perform an approved navigation
+ */
+export function performNavigation(iframe, { url, target }) {
+  if (target === '_self') {
+    iframe.src = url;
+  } else if (target === '_parent') {
+    window.location.assign(url);
+  } else if (target === '_top') {
+    window.top.location.assign(url);
+  } else if (target === '_blank') {
+    window.open(url, '_blank', 'noopener,noreferrer');
+  }
+}
+
+/**
+ * Resolve a possibly relative URL, returns null when it cannot be parsed
+ */
+function resolveUrl(url, base) {
+  try {
+    return new URL(url, base);
+  } catch (e) {
+    return null;
+  }
+}
+
+function createUrlMatcher(patterns) {
+  const entries = Array.isArray(patterns) ? patterns : [patterns];
+
+  const matchers = entries.map((entry) => {
+    if (typeof entry === 'function') {
+      return (url) => Boolean(entry(url));
+    }
+    if (entry instanceof RegExp) {
+      return (url) => entry.test(url);
+    }
+    if (typeof entry !== 'string') {
+      throw new TypeError(`Invalid URL pattern: ${entry}`);
+    }
+
+    const pattern = new RegExp(`^${entry.split('*').map(escapeRegExp).join('.*')}$`);
+    return (url) => pattern.test(url);
+  });
+
+  return (url) => matchers.some(matches => matches(url));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,8 @@
+/**
+ * Type declarations for remote object proxies, see remote.js
+ */
+
+import { Remote } from '../shared/contract.js';
+import { RPC } from './rpc.js';
+
+export function createRemote<C>(rpc: RPC<C>): Remote<C>;
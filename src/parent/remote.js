@@ -0,0 +1,63 @@
+/**
+ * Remote object proxies - call child methods as `await remote.getContent()`
+ * Property access builds a dotted method path, so `remote.forms.fill(data)`
+ * calls the method exposed as 'forms.fill'. The top-level `remote.stream(method, ...args)`
+ * streams a result, see rpc.stream()
+ */
+
+import { MethodNotFoundError } from '../shared/errors.js';
+
+/**
+ * Create a Proxy-based remote object for an RPC instance
+ * Method names are checked against the list the child announced during the
+ * handshake (refreshed through the built-in 'listMethods' on a miss), so
+ * typos fail fast with a MethodNotFoundError instead of a round trip per call
+ */
+export function createRemote(rpc) {
+  return createPathProxy(rpc, []);
+}
+
+function createPathProxy(rpc, path) {
+  // A function target makes every path callable
+  const target = function () {};
+
+  return new Proxy(target, {
+    get(_, property) {
+      // Symbols (inspection, iteration) and 'then' (so the proxy is not
+      // mistaken for a promise when awaited) are never remote methods
+      if (typeof property === 'symbol' || property === 'then') {
+        return undefined;
+      }
+      if (path.length === 0 && property === 'stream') {
+        return (method, ...args) => rpc.stream(method, ...args);
+      }
+      return createPathProxy(rpc, [...path, property]);
+    },
+
+    apply(_, thisArg, args) {
+      return invoke(rpc, path.join('.'), args);
+    }
+  });
+}
+
+async function invoke(rpc, method, args) {
+  await assertMethodExists(rpc, method);
+  return rpc.call(method, ...args);
+}
+
+/**
+ * Check a method name against the child's method list before calling it
+ */
+async function assertMethodExists(rpc, method) {
+  if (rpc.peer && rpc.peer.methods.includes(method)) return;
+
+  // The child may have exposed the method after the handshake
+  const methods = await rpc.call('listMethods');
+  if (rpc.peer) {
+    rpc.peer.methods = methods;
+  }
+
+  if (!methods.includes(method)) {
+    throw new MethodNotFoundError(method);
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Type declarations for the parent-side RPC, see rpc.js
+ */
+
+import { AnyContract, MethodName, MethodParams, MethodResult } from '../shared/contract.js';
+import { MethodPermissions, OriginMatcher } from '../shared/permissions.js';
+import { MethodDescriptor } from '../shared/schema.js';
+import { Middleware } from '../shared/middleware.js';
+import { BatchOptions } from '../shared/batching.js';
+import { StreamChunk, StreamOptions, StreamReader } from '../shared/streams.js';
+
+export {
+  RpcError,
+  RpcTimeoutError,
+  MethodNotFoundError,
+  PermissionDeniedError,
+  ValidationError,
+  NavigationError,
+  ConnectionClosedError,
+  RemoteError,
+  registerErrorClass
+} from '../shared/errors.js';
+export { transfer } from '../shared/transfer.js';
+
+export interface RejectedMessage {
+  reason: 'unknown-source' | 'origin-not-allowed' | 'origin-mismatch' | 'not-connected' | 'unknown-instance' | 'middleware-failed';
+  origin: string | null;
+  data: unknown;
+  /** With 'middleware-failed': the direction of the message and what the middleware threw */
+  direction?: 'incoming' | 'outgoing';
+  error?: unknown;
+}
+
+export interface PeerInfo {
+  version: number;
+  methods: string[];
+  capabilities: string[];
+  session: string;
+  url: string;
+}
+
+export interface RPCOptions {
+  targetOrigin?: string;
+  allowedOrigins?: OriginMatcher | OriginMatcher[];
+  onRejectedMessage?: (info: RejectedMessage) => void;
+  /** Called with the new child's peer info when another child instance announces itself while connected */
+  onNewSession?: (peer: PeerInfo) => void;
+  /** Called when the child closes the connection with embedApi.destroy() */
+  onClose?: () => void;
+  /** Default call timeout in ms */
+  timeout?: number;
+  useMessageChannel?: boolean;
+  channel?: string;
+  /** Capabilities granted to the child */
+  capabilities?: string[];
+  middleware?: Middleware[];
+  /** Post calls issued close together as one batch */
+  batch?: boolean | BatchOptions;
+}
+
+export interface CallOptions {
+  /** ms before the call fails, 0 disables the timeout */
+  timeout?: number;
+  signal?: AbortSignal;
+  retries?: number;
+  backoff?: number | ((attempt: number) => number);
+}
+
+export interface HandshakeOptions {
+  timeout?: number;
+  interval?: number;
+}
+
+/** `this` inside exposed handlers */
+export interface HandlerContext {
+  method: string;
+  signal: AbortSignal;
+}
+
+export type Handler = (this: HandlerContext, ...args: any[]) => unknown;
+
+export interface ExposeOptions extends MethodPermissions, MethodDescriptor {}
+
+/** Function received as an argument from the peer */
+export interface CallbackProxy {
+  (...args: any[]): Promise<any>;
+  release(): void;
+}
+
+export type EventHandler = (data: any, eventName: string) => void;
+
+/**
+ * RPC connection to a child frame; `C` is the contract of the child's exposed methods
+ */
+export class RPC<C = AnyContract> {
+  constructor(targetWindow: Window, options?: RPCOptions | string);
+
+  readonly connected: boolean;
+  readonly destroyed: boolean;
+  readonly peer: PeerInfo | null;
+  readonly peerOrigin: string | null;
+  readonly channel: string;
+  readonly instanceId: string;
+  timeout: number;
+  capabilities: Set<string>;
+
+  handshake(options?: HandshakeOptions): Promise<PeerInfo>;
+  checkSession(options?: { timeout?: number }): Promise<boolean>;
+  disconnect(): void;
+  rejectPending(error: Error): void;
+  replayPending(): void;
+
+  call<K extends MethodName<C>>(method: K, ...args: MethodParams<C, K>): Promise<MethodResult<C, K>>;
+  callWithOptions<K extends MethodName<C>>(
+    method: K,
+    args?: MethodParams<C, K>,
+    options?: CallOptions
+  ): Promise<MethodResult<C, K>>;
+
+  stream<K extends MethodName<C>>(method: K, ...args: MethodParams<C, K>): StreamReader<StreamChunk<MethodResult<C, K>>>;
+  streamWithOptions<K extends MethodName<C>>(
+    method: K,
+    args?: MethodParams<C, K>,
+    options?: StreamOptions
+  ): StreamReader<StreamChunk<MethodResult<C, K>>>;
+
+  expose(method: string, handler: Handler, options?: ExposeOptions): void;
+  unexpose(method: string): void;
+  releaseCallback(fn: (...args: any[]) => any): void;
+  use(middleware: Middleware): () => void;
+
+  on(event: string, handler: EventHandler): () => void;
+  once(event: string, handler: EventHandler): () => void;
+  off(event: string, handler?: EventHandler): void;
+  sendEvent(eventName: string, data?: unknown): void;
+
+  /** Close the connection, rejecting pending and later calls with a ConnectionClosedError */
+  destroy(): void;
+}
@@ -3,123 +3,385 @@
  * Supports request/response pattern with Promise-based API
  */
 
-export class RPC {
-  constructor(targetWindow, targetOrigin = '*') {
+import { PROTOCOL_VERSION, isChannelMessage, isCompatibleVersion } from '../shared/protocol.js';
+import { RpcEndpoint } from '../shared/endpoint.js';
+import { RpcError, RpcTimeoutError, ConnectionClosedError } from '../shared/errors.js';
+
+export {
+  RpcError,
+  RpcTimeoutError,
+  MethodNotFoundError,
+  PermissionDeniedError,
+  ValidationError,
+  NavigationError,
+  ConnectionClosedError,
+  RemoteError,
+  registerErrorClass
+} from '../shared/errors.js';
+export { transfer } from '../shared/transfer.js';
+
+const MESSAGE_TYPES = new Set(['rpc-request', 'rpc-response', 'rpc-cancel', 'rpc-release', 'rpc-batch', 'rpc-chunk', 'rpc-credit', 'rpc-close', 'child-ready', 'child-event']);
+
+/**
+ * The parent side of a connection, calls and everything else shared with the
+ * child side live in RpcEndpoint
+ */
+export class RPC extends RpcEndpoint {
+  /**
+   * Options (a plain string is treated as targetOrigin):
+   * - targetOrigin: origin the handshake is posted to until the peer origin is pinned
+   * - allowedOrigins: origins allowed to talk to us, see createOriginMatcher (defaults to targetOrigin)
+   * - onRejectedMessage: called with { reason, origin, data } for every dropped message,
+   *   and with reason 'middleware-failed' and the error when a middleware throws on a
+   *   message that is not part of a call
+   * - onNewSession: called with the peer info ({ version, methods, session, url,
+   *   capabilities }) of a different child instance that says 'child-ready' while
+   *   we are connected (e.g. after the child reloaded)
+   * - onClose: called when the child closes the connection with embedApi.destroy()
+   * - timeout: default call timeout in ms (10 seconds)
+   * - useMessageChannel: hand the child a private MessagePort during the handshake (default true)
+   * - channel: namespace stamped on every message, both sides must use the same one
+   * - capabilities: capability names granted to the child, required by methods exposed
+   *   with a `capabilities` option and announced during the handshake
+   * - middleware: list of middleware to use(), see use()
+   * - batch: post calls issued close together as one batch, `true` or
+   *   { flush, maxSize, idempotent }, see resolveBatchOptions (default off)
+   */
+  constructor(targetWindow, options = {}) {
+    if (typeof options === 'string') {
+      options = { targetOrigin: options };
+    }
+
+    super(targetWindow, options, { incomingEvent: 'child-event', outgoingEvent: 'parent-event' });
+
+    const { onNewSession = null, onClose = null, useMessageChannel = true } = options;
+
     this.targetWindow = targetWindow;
-    this.targetOrigin = targetOrigin;
-    this.messageId = 0;
-    this.pendingRequests = new Map();
-    this.exposedMethods = new Map();
-    
-    // Listen for messages
-    window.addEventListener('message', this.handleMessage.bind(this));
+    this.onNewSession = onNewSession;
+    this.onClose = onClose;
+    this.pendingHandshake = null;
+    this.sessionProbe = null;
+    this.useMessageChannel = useMessageChannel;
+    this.portInUse = false;
+
+    // Listen for messages, keeping the bound listener so destroy() can remove it
+    this.messageListener = this.handleMessage.bind(this);
+    window.addEventListener('message', this.messageListener);
   }
 
   /**
-   * Handle incoming postMessage events
+   * Handle incoming postMessage events on the window
+   * Once the child talks over the private MessagePort, the window only carries
+   * the handshake; until then messages it sent before receiving the port are
+   * still accepted here
    */
   handleMessage(event) {
-    const { type, id, method, args, result, error } = event.data;
+    if (!isChannelMessage(event.data, this.channel, MESSAGE_TYPES)) return;
+    if (!this.acceptMessage(event)) return;
+
+    if (event.data.type === 'child-ready') {
+      this.handleChildReady(event);
+      return;
+    }
 
-    if (type === 'rpc-request') {
-      this.handleRequest(event, id, method, args);
-    } else if (type === 'rpc-response') {
-      this.handleResponse(id, result, error);
+    if (this.port && this.portInUse) return;
+
+    // Only the child instance that completed the handshake may talk to us
+    if (!this.connected) {
+      this.rejectMessage(event, 'not-connected');
+      return;
     }
+    if (event.data.instance !== this.peer.session) {
+      this.rejectMessage(event, 'unknown-instance');
+      return;
+    }
+
+    this.dispatch(event.data);
   }
 
   /**
-   * Handle RPC requests from the other frame
+   * Handle messages arriving on the private MessagePort
+   * The port was handed over during an accepted handshake, so no origin checks apply
    */
-  async handleRequest(event, id, method, args) {
-    if (!this.exposedMethods.has(method)) {
-      this.sendResponse(event.source, id, null, `Method '${method}' not found`);
-      return;
+  handlePortMessage(event) {
+    if (!isChannelMessage(event.data, this.channel, MESSAGE_TYPES)) return;
+    this.portInUse = true;
+    this.dispatch(event.data);
+  }
+
+  /**
+   * Check that a message comes from our child frame and an allowed origin
+   */
+  acceptMessage(event) {
+    let reason = null;
+
+    if (event.source !== this.targetWindow) {
+      reason = 'unknown-source';
+    } else if (!this.isAllowedOrigin(event.origin)) {
+      reason = 'origin-not-allowed';
+    } else if (this.peerOrigin && event.origin !== this.peerOrigin && event.data.type !== 'child-ready') {
+      // A reloaded child may come back on another allowed origin, so its
+      // announcement is only checked against the allowlist
+      reason = 'origin-mismatch';
     }
 
-    try {
-      const handler = this.exposedMethods.get(method);
-      const result = await handler(...args);
-      this.sendResponse(event.source, id, result, null);
-    } catch (error) {
-      this.sendResponse(event.source, id, null, error.message);
+    if (reason) {
+      this.rejectMessage(event, reason);
+      return false;
     }
+    return true;
+  }
+
+  /**
+   * Perform the connection handshake with the child frame
+   * Sends 'rpc-hello' every `interval` ms until the child answers with 'child-ready',
+   * and rejects if no compatible child shows up within `timeout` ms
+   */
+  handshake({ timeout = 5000, interval = 250 } = {}) {
+    if (this.destroyed) {
+      return Promise.reject(new ConnectionClosedError());
+    }
+    if (this.pendingHandshake) {
+      return this.pendingHandshake.promise;
+    }
+
+    let helloTimer;
+    let timeoutId;
+
+    const finish = () => {
+      clearInterval(helloTimer);
+      clearTimeout(timeoutId);
+      this.pendingHandshake = null;
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      this.pendingHandshake = {
+        resolve: (peer) => { finish(); resolve(peer); },
+        reject: (error) => { finish(); reject(error); }
+      };
+
+      timeoutId = setTimeout(() => {
+        this.pendingHandshake.reject(
+          new RpcTimeoutError(`RPC handshake timed out after ${timeout}ms - child frame may not be cooperative`)
+        );
+      }, timeout);
+
+      const sendHello = () => {
+        this.postToWindow({
+          type: 'rpc-hello',
+          version: PROTOCOL_VERSION,
+          methods: this.getMethodNames()
+        });
+      };
+
+      helloTimer = setInterval(sendHello, interval);
+      sendHello();
+    });
+
+    this.pendingHandshake.promise = promise;
+    return promise;
   }
 
   /**
-   * Handle RPC responses
+   * Handle the child's 'child-ready' announcement (either unsolicited on load
+   * or in answer to our hello) and acknowledge it
    */
-  handleResponse(id, result, error) {
-    const request = this.pendingRequests.get(id);
-    if (!request) return;
+  handleChildReady(event) {
+    const { version, methods = [], session, url, capabilities = [] } = event.data;
+
+    if (this.sessionProbe && session === this.sessionProbe.session) {
+      this.sessionProbe.resolve(true);
+    }
+
+    // Once connected, stick to the child instance that completed the handshake;
+    // a different instance is only reported so the owner can check for a reload
+    if (this.connected && session !== this.peer.session) {
+      if (typeof this.onNewSession === 'function') {
+        this.onNewSession({ version, methods, session, url, capabilities });
+      }
+      return;
+    }
+
+    if (!isCompatibleVersion(version)) {
+      if (this.pendingHandshake) {
+        this.pendingHandshake.reject(
+          new RpcError(`Incompatible protocol version: child speaks ${version}, expected ${PROTOCOL_VERSION}`, {
+            code: 'INCOMPATIBLE_VERSION',
+            data: { version, expected: PROTOCOL_VERSION }
+          })
+        );
+      }
+      return;
+    }
+
+    const isNewConnection = !this.connected;
 
-    this.pendingRequests.delete(id);
+    this.pinOrigin(event.origin);
+    this.peer = { version, methods, session, url, capabilities };
+    this.connected = true;
 
-    if (error) {
-      request.reject(new Error(error));
-    } else {
-      request.resolve(result);
+    this.sendAck({
+      type: 'rpc-ack',
+      version: PROTOCOL_VERSION,
+      methods: this.getMethodNames(),
+      capabilities: [...this.capabilities],
+      session
+    }, isNewConnection);
+    this.flushOutbox();
+
+    if (this.pendingHandshake) {
+      this.pendingHandshake.resolve(this.peer);
     }
   }
 
   /**
-   * Send an RPC response
+   * Acknowledge the child's announcement over the window
+   * A new connection also hands the child one end of a fresh MessageChannel;
+   * from then on all traffic uses the private port. Repeated acks for the same
+   * child keep the current port
    */
-  sendResponse(targetWindow, id, result, error) {
-    targetWindow.postMessage({
-      type: 'rpc-response',
-      id,
-      result,
-      error
-    }, '*');
+  sendAck(ack, isNewConnection) {
+    if (!isNewConnection) {
+      this.postToWindow(ack);
+      return;
+    }
+
+    this.closePort();
+
+    if (this.useMessageChannel && typeof MessageChannel !== 'undefined') {
+      try {
+        const channel = new MessageChannel();
+        this.postToWindow({ ...ack, transport: 'port' }, [channel.port2]);
+        this.setPort(channel.port1);
+        return;
+      } catch (e) {
+        // Transferring the port failed, keep talking over the window
+      }
+    }
+
+    this.postToWindow({ ...ack, transport: 'window' });
+  }
+
+  setPort(port) {
+    this.port = port;
+    this.portInUse = false;
+    this.port.onmessage = (event) => this.handlePortMessage(event);
   }
 
   /**
-   * Call a method on the other frame
+   * Check whether the child instance we are connected to is still alive
+   * Sends a hello addressed to its session, which only that instance answers
    */
-  call(method, ...args) {
-    return new Promise((resolve, reject) => {
-      const id = ++this.messageId;
-      
-      this.pendingRequests.set(id, { resolve, reject });
-
-      this.targetWindow.postMessage({
-        type: 'rpc-request',
-        id,
-        method,
-        args
-      }, this.targetOrigin);
-
-      // Timeout after 10 seconds
-      setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error(`RPC call '${method}' timed out`));
+  checkSession({ timeout = 1000 } = {}) {
+    if (!this.connected) {
+      return Promise.resolve(false);
+    }
+    if (this.sessionProbe) {
+      return this.sessionProbe.promise;
+    }
+
+    const session = this.peer.session;
+    let timeoutId;
+
+    const promise = new Promise((resolve) => {
+      this.sessionProbe = {
+        session,
+        resolve: (alive) => {
+          clearTimeout(timeoutId);
+          this.sessionProbe = null;
+          resolve(alive);
         }
-      }, 10000);
+      };
+
+      timeoutId = setTimeout(() => this.sessionProbe.resolve(false), timeout);
+
+      this.postToWindow({
+        type: 'rpc-hello',
+        version: PROTOCOL_VERSION,
+        methods: this.getMethodNames(),
+        session
+      });
     });
+
+    this.sessionProbe.promise = promise;
+    return promise;
   }
 
   /**
-   * Expose a method to be called by the other frame
+   * Forget the current child instance so the next handshake starts fresh
+   * Exposed methods are kept and announced again on reconnection, functions
+   * passed to the old child as arguments are released
    */
-  expose(method, handler) {
-    this.exposedMethods.set(method, handler);
+  disconnect() {
+    // Calls the old child had received, replayPending() may send them again
+    if (this.connected) {
+      for (const request of this.pendingRequests.values()) {
+        request.interrupted = true;
+      }
+    }
+    this.connected = false;
+    this.peerOrigin = null;
+    this.closePort();
+    this.callbacks.clear();
+    if (this.batcher) this.batcher.clear();
   }
 
   /**
-   * Remove an exposed method
+   * The child closed the connection (embedApi.destroy()): fail every pending
+   * call and forget the child until the next handshake
    */
-  unexpose(method) {
-    this.exposedMethods.delete(method);
+  handlePeerClose() {
+    const wasConnected = this.connected;
+    this.disconnect();
+    this.abortHandlers();
+    this.rejectPending(new ConnectionClosedError('Child closed the connection'));
+
+    if (wasConnected && typeof this.onClose === 'function') {
+      this.onClose();
+    }
   }
 
   /**
-   * Destroy the RPC instance and clean up listeners
+   * Re-send the calls interrupted by disconnect() to the newly connected child
+   * Calls made while disconnected were queued and already went out when the
+   * handshake completed, so they are not sent twice
+   */
+  replayPending() {
+    if (!this.connected) return;
+
+    for (const [id, request] of this.pendingRequests) {
+      const { method, args, callback, stream, reject, interrupted } = request;
+      if (!interrupted) continue;
+      request.interrupted = false;
+
+      // A replayed stream would start over, so streams fail instead
+      if (stream) {
+        reject(new RpcError('Stream interrupted by a reconnection', { code: 'CONNECTION_LOST' }));
+      } else {
+        this.postRequest(id, method, args, callback);
+      }
+    }
+  }
+
+  /**
+   * Close the connection and release everything this instance holds
+   * The child is told the connection closed, running handlers are aborted,
+   * pending calls and handshakes reject with a ConnectionClosedError (so does
+   * every later call) and all timers are cleared. Calling it again does nothing
    */
   destroy() {
-    window.removeEventListener('message', this.handleMessage);
-    this.pendingRequests.clear();
-    this.exposedMethods.clear();
+    if (this.destroyed) return;
+
+    if (this.connected) {
+      this.transmit({ type: 'rpc-close' });
+    }
+    this.destroyed = true;
+    window.removeEventListener('message', this.messageListener);
+
+    const error = new ConnectionClosedError();
+    if (this.pendingHandshake) this.pendingHandshake.reject(error);
+    if (this.sessionProbe) this.sessionProbe.resolve(false);
+    this.releaseAll(error);
+    this.disconnect();
   }
 }
\ No newline at end of file
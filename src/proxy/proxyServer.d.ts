@@ -0,0 +1,45 @@
+/**
+ * Type declarations for the proxy server, see proxyServer.js
+ * The Express app and HTTP server are described structurally, so using these
+ * declarations does not require @types/express or @types/node
+ */
+
+export type RequestHandler = (req: any, res: any, next: (error?: unknown) => void) => unknown;
+
+/** The Express application serving the proxy routes */
+export interface ProxyApp {
+  (req: any, res: any, next?: (error?: unknown) => void): void;
+  use(...handlers: Array<string | RequestHandler>): this;
+  get(path: string, ...handlers: RequestHandler[]): this;
+  listen(port: number | string, callback?: () => void): ProxyHttpServer;
+}
+
+/** The HTTP server returned by app.listen() */
+export interface ProxyHttpServer {
+  close(callback?: (error?: Error) => void): this;
+}
+
+export interface ProxyOptions {
+  /** 'false' keeps the page's own <base> handling */
+  baseHref?: string;
+  /** 'false' skips injecting the EmbedApi bootstrap script */
+  inject?: string;
+  /** 'true' removes the page's own scripts */
+  removeScripts?: string;
+  /** 'false' skips the iframe styles and proxy notice */
+  addStyles?: string;
+}
+
+export class ProxyServer {
+  constructor(port?: number | string);
+
+  app: ProxyApp;
+  port: number | string;
+  server?: ProxyHttpServer;
+
+  setupRoutes(): void;
+  proxyUrl(targetUrl: string, options?: ProxyOptions): Promise<string>;
+  processContent(html: string, originalUrl: string, options: ProxyOptions): string;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+}
@@ -125,37 +125,18 @@ class ProxyServer {
       script.textContent = `
         import { EmbedApi } from '/src/child/embedApi.js';
         
-        const api = new EmbedApi();
+        // Replaces the instance created on import, so the parent talks to this one.
+        // 'content' also lets the parent watch the page; forms are read, not filled
+        const api = new EmbedApi({ capabilities: ['content'] });
         
-        // Expose content extraction
-        api.expose('getContent', () => {
-          return {
-            title: document.title,
-            url: window.location.href,
-            text: document.body ? document.body.textContent : '',
-            links: Array.from(document.querySelectorAll('a')).map(a => ({
-              href: a.href,
-              text: a.textContent.trim()
-            })),
-            images: Array.from(document.querySelectorAll('img')).map(img => ({
-              src: img.src,
-              alt: img.alt
-            }))
-          };
-        });
-
-        // Expose form data extraction
-        api.expose('getForms', () => {
-          return Array.from(document.querySelectorAll('form')).map(form => ({
-            action: form.action,
-            method: form.method,
-            fields: Array.from(form.querySelectorAll('input, select, textarea')).map(field => ({
-              name: field.name,
-              type: field.type,
-              value: field.value
-            }))
-          }));
-        });
+        // Expose content extraction, without the full HTML unless asked for
+        api.expose('getContent', (options = {}) => api.getContent({
+          fields: ['title', 'url', 'text', 'links', 'images'],
+          ...options
+        }));
+
+        // Expose form data extraction (labels, options, constraints), see shared/forms.js
+        api.expose('getForms', () => api.getContent({ fields: ['forms'] }).forms);
 
         // Auto-expose basic page info
         window.addEventListener('load', () => {
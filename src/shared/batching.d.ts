@@ -0,0 +1,27 @@
+/**
+ * Type declarations for request batching, see batching.js
+ */
+
+export interface BatchOptions {
+  /** When queued calls are posted: 'microtask' (default), 'frame' or a delay in ms */
+  flush?: 'microtask' | 'frame' | number;
+  /** Most calls per batch (default 50) */
+  maxSize?: number;
+  /** Methods whose identical in-flight calls share one request */
+  idempotent?: string[] | ((method: string) => boolean);
+}
+
+export const BATCHABLE_TYPES: Set<string>;
+
+export function resolveBatchOptions(batch: boolean | BatchOptions | undefined): Required<BatchOptions> | null;
+
+export class RequestBatcher {
+  constructor(send: (message: object) => void, options?: BatchOptions);
+  add(message: { id: string }): void;
+  remove(id: string): boolean;
+  flush(): void;
+  clear(): void;
+}
+
+export function createIdempotencyCheck(idempotent?: string[] | ((method: string) => boolean)): (method: string) => boolean;
+export function getDedupeKey(method: string, args: unknown[]): string | null;
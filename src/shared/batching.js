@@ -0,0 +1,140 @@
+/**
+ * Opt-in request batching and deduplication of identical idempotent calls
+ *
+ * With batching on, requests issued close together are queued and posted as
+ * one { type: 'rpc-batch', messages } envelope. The receiving side handles
+ * the requests of a batch together and sends each response back as soon as
+ * it is ready, batching the ones ready in the same task.
+ * Batches are always understood, only sending them is opt-in.
+ */
+
+// Messages that may travel inside a batch
+export const BATCHABLE_TYPES = new Set(['rpc-request', 'rpc-response']);
+
+/**
+ * Normalize the `batch` option (`true` or an object) into batcher options,
+ * or null when batching is off
+ * - flush: when queued requests are posted, 'microtask' (default) for calls
+ *   issued in the same task, 'frame' for calls issued in the same animation
+ *   frame, or a delay in ms
+ * - maxSize: most requests per batch (default 50)
+ * - idempotent: method names (or a predicate) whose identical in-flight calls
+ *   share a single request
+ */
+export function resolveBatchOptions(batch) {
+  if (!batch) return null;
+  return { flush: 'microtask', maxSize: 50, idempotent: [], ...(batch === true ? {} : batch) };
+}
+
+/**
+ * Queue of outgoing requests, or of the responses to a batch, posted together
+ * by `send(message)`
+ * A queue holding a single message sends it as a plain message
+ */
+export class RequestBatcher {
+  constructor(send, { flush = 'microtask', maxSize = 50 } = {}) {
+    this.send = send;
+    this.flushMode = flush;
+    this.maxSize = maxSize;
+    this.queue = [];
+    this.scheduled = false;
+    this.cancelScheduled = null;
+  }
+
+  add(message) {
+    this.queue.push(message);
+
+    if (this.queue.length >= this.maxSize) {
+      this.flush();
+    } else if (!this.scheduled) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Drop a queued request that has not been posted yet
+   * Returns whether it was still queued
+   */
+  remove(id) {
+    const index = this.queue.findIndex(message => message.id === id);
+    if (index === -1) return false;
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  schedule() {
+    this.scheduled = true;
+    const flush = () => {
+      if (this.scheduled) this.flush();
+    };
+
+    if (this.flushMode === 'microtask') {
+      queueMicrotask(flush);
+      this.cancelScheduled = null;
+    } else if (this.flushMode === 'frame' && typeof requestAnimationFrame === 'function') {
+      const frame = requestAnimationFrame(flush);
+      this.cancelScheduled = () => cancelAnimationFrame(frame);
+    } else {
+      const timeoutId = setTimeout(flush, typeof this.flushMode === 'number' ? this.flushMode : 16);
+      this.cancelScheduled = () => clearTimeout(timeoutId);
+    }
+  }
+
+  flush() {
+    this.unschedule();
+    const messages = this.queue;
+    this.queue = [];
+
+    if (messages.length === 1) {
+      this.send(messages[0]);
+    } else if (messages.length > 1) {
+      this.send({ type: 'rpc-batch', messages });
+    }
+  }
+
+  /**
+   * Forget every queued request, e.g. when the connection goes away
+   */
+  clear() {
+    this.unschedule();
+    this.queue = [];
+  }
+
+  unschedule() {
+    this.scheduled = false;
+    if (this.cancelScheduled) {
+      this.cancelScheduled();
+      this.cancelScheduled = null;
+    }
+  }
+}
+
+/**
+ * Build the check deciding which methods may share in-flight calls
+ */
+export function createIdempotencyCheck(idempotent) {
+  if (typeof idempotent === 'function') {
+    return (method) => Boolean(idempotent(method));
+  }
+  const methods = new Set(idempotent || []);
+  return (method) => methods.has(method);
+}
+
+/**
+ * Key identifying identical calls, or null when the arguments cannot be
+ * compared safely (functions, class instances, buffers...)
+ */
+export function getDedupeKey(method, args) {
+  try {
+    return JSON.stringify([method, args], (key, value) => {
+      if (typeof value === 'function') throw new TypeError('Not comparable');
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) throw new TypeError('Not comparable');
+      }
+      return value;
+    });
+  } catch (e) {
+    return null;
+  }
+}
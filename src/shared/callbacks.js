@@ -0,0 +1,124 @@
+/**
+ * Function marshalling for RPC arguments
+ *
+ * Functions cannot be structured-cloned, so before a call is posted every
+ * function found in its arguments is registered locally and replaced with a
+ * { __rpcCallback: id } reference. The receiving side turns references back
+ * into proxy functions that call the original through an 'rpc-request'
+ * carrying `callback: id` instead of a method name.
+ */
+
+import { copyTransferMark } from './transfer.js';
+
+const CALLBACK_KEY = '__rpcCallback';
+
+/**
+ * Functions the peer may call back, keyed by reference id
+ * Kept apart from exposed methods so they can be released independently
+ */
+export class CallbackRegistry {
+  constructor() {
+    this.callbacks = new Map();
+    this.ids = new WeakMap();
+    this.nextId = 0;
+  }
+
+  /**
+   * Register a function and return its reference id
+   * Passing the same function again reuses its id
+   */
+  register(fn) {
+    if (this.ids.has(fn) && this.callbacks.has(this.ids.get(fn))) {
+      return this.ids.get(fn);
+    }
+
+    const id = ++this.nextId;
+    this.callbacks.set(id, fn);
+    this.ids.set(fn, id);
+    return id;
+  }
+
+  get(id) {
+    return this.callbacks.get(id);
+  }
+
+  has(id) {
+    return this.callbacks.has(id);
+  }
+
+  /**
+   * Release a callback by reference id or by the function itself
+   */
+  release(idOrFn) {
+    const id = typeof idOrFn === 'function' ? this.ids.get(idOrFn) : idOrFn;
+    const fn = this.callbacks.get(id);
+    if (!fn) return;
+
+    this.callbacks.delete(id);
+    this.ids.delete(fn);
+  }
+
+  /**
+   * Release every callback, e.g. when the connection goes away
+   */
+  clear() {
+    this.callbacks.clear();
+    this.ids = new WeakMap();
+  }
+
+  get size() {
+    return this.callbacks.size;
+  }
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Walk arrays and plain objects, replacing values for which `replace`
+ * returns something other than undefined. Returns the input untouched when
+ * nothing was replaced, copies keep the transfer() mark of their original
+ */
+function transform(value, replace, seen = new Map()) {
+  const replaced = replace(value);
+  if (replaced !== undefined) return replaced;
+
+  if (!Array.isArray(value) && !isPlainObject(value)) return value;
+  if (seen.has(value)) return seen.get(value);
+
+  const copy = Array.isArray(value) ? [] : {};
+  seen.set(value, copy);
+
+  let changed = false;
+  for (const key of Object.keys(value)) {
+    copy[key] = transform(value[key], replace, seen);
+    if (copy[key] !== value[key]) changed = true;
+  }
+
+  if (changed) copyTransferMark(value, copy);
+  seen.set(value, changed ? copy : value);
+  return changed ? copy : value;
+}
+
+/**
+ * Replace every function in `args` with a callback reference
+ */
+export function marshalCallbacks(args, registry) {
+  return transform(args, (value) => (
+    typeof value === 'function' ? { [CALLBACK_KEY]: registry.register(value) } : undefined
+  ));
+}
+
+/**
+ * Replace every callback reference in `args` with the function built by `createProxy(id)`
+ */
+export function unmarshalCallbacks(args, createProxy) {
+  return transform(args, (value) => (
+    isPlainObject(value) && typeof value[CALLBACK_KEY] === 'number' && Object.keys(value).length === 1
+      ? createProxy(value[CALLBACK_KEY])
+      : undefined
+  ));
+}
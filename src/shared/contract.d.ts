@@ -0,0 +1,53 @@
+/**
+ * Contract typing for remote calls and TypeScript contract generation, see contract.js
+ *
+ * A contract maps method names to function types:
+ *
+ *   type ChildContract = {
+ *     getContent: () => { title: string };
+ *     'forms.fill': (values: Record<string, string>) => boolean;
+ *   };
+ */
+
+import { MethodDescriptor, Schema } from './schema.js';
+import { StreamChunk, StreamReader } from './streams.js';
+
+export type AnyContract = Record<string, (...args: any[]) => any>;
+
+/** Names of the methods of a contract */
+export type MethodName<C> = {
+  [K in keyof C]: C[K] extends (...args: any[]) => any ? K : never;
+}[keyof C] & string;
+
+/** Argument tuple of a contract method */
+export type MethodParams<C, K extends keyof C> = C[K] extends (...args: infer A) => any ? A : never;
+
+/** Resolved result of a contract method */
+export type MethodResult<C, K extends keyof C> = C[K] extends (...args: any[]) => infer R ? Awaited<R> : never;
+
+type AsyncMethod<F> = F extends (...args: infer A) => infer R ? (...args: A) => Promise<Awaited<R>> : never;
+
+type Head<K> = K extends `${infer H}.${string}` ? H : K;
+
+type Nested<C, H extends string> = {
+  [K in keyof C as K extends `${H}.${infer Rest}` ? Rest : never]: C[K];
+};
+
+type RemotePath<C> = {
+  [K in MethodName<C> as Head<K>]: K extends `${infer H}.${string}` ? RemotePath<Nested<C, H>> : AsyncMethod<C[K]>;
+};
+
+/**
+ * Remote object for a contract: `remote.forms.fill(values)` calls 'forms.fill'
+ * and resolves to its result, `remote.stream('feed')` streams a result
+ */
+export type Remote<C> = RemotePath<C> & {
+  stream<K extends MethodName<C>>(method: K, ...args: MethodParams<C, K>): StreamReader<StreamChunk<MethodResult<C, K>>>;
+};
+
+export function generateContract(
+  descriptors: Record<string, MethodDescriptor>,
+  options?: { name?: string }
+): string;
+
+export function schemaToType(schema: Schema): string;
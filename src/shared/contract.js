@@ -0,0 +1,94 @@
+/**
+ * TypeScript contract generation from the schema descriptors of exposed methods
+ *
+ * The child's built-in 'describe' method returns { [method]: { params, result } };
+ * generateContract() turns that into a contract type to use with
+ * `manager.connect<ChildContract>(iframe)`:
+ *
+ *   const source = generateContract(await rpc.call('describe'), { name: 'ChildContract' });
+ */
+
+/**
+ * Emit TypeScript source declaring a contract type for the described methods
+ * Methods without schemas accept and return `unknown`
+ */
+export function generateContract(descriptors, { name = 'Contract' } = {}) {
+  const members = Object.keys(descriptors).sort().map((method) => {
+    const { params, result } = descriptors[method] || {};
+    const returns = result ? schemaToType(result) : 'unknown';
+    return `  ${JSON.stringify(method)}: (${paramsToSignature(params)}) => ${returns};`;
+  });
+
+  return `export type ${name} = {\n${members.join('\n')}\n};\n`;
+}
+
+/**
+ * Convert a schema into a TypeScript type expression
+ */
+export function schemaToType(schema) {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map(option => JSON.stringify(option)).join(' | ');
+  if (schema.anyOf) return schema.anyOf.map(option => wrap(schemaToType(option))).join(' | ');
+
+  if (Array.isArray(schema.type)) {
+    return schema.type.map(type => wrap(schemaToType({ ...schema, type }))).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'function':
+      return '(...args: any[]) => unknown';
+    case 'array':
+      return `Array<${schema.items ? schemaToType(schema.items) : 'unknown'}>`;
+    case 'object':
+      return objectToType(schema);
+    default:
+      return schema.properties ? objectToType(schema) : 'unknown';
+  }
+}
+
+function objectToType(schema) {
+  const required = new Set(schema.required || []);
+  const members = Object.entries(schema.properties || {}).map(([key, property]) => (
+    `${propertyKey(key)}${required.has(key) ? '' : '?'}: ${schemaToType(property)}`
+  ));
+
+  if (schema.additionalProperties === undefined || schema.additionalProperties === true) {
+    if (members.length === 0) return 'Record<string, unknown>';
+  } else if (typeof schema.additionalProperties === 'object') {
+    members.push(`[key: string]: ${schemaToType(schema.additionalProperties)}`);
+  }
+
+  return members.length > 0 ? `{ ${members.join('; ')} }` : '{}';
+}
+
+function paramsToSignature(params) {
+  if (!params) return '...args: unknown[]';
+
+  if (!Array.isArray(params)) {
+    const items = params.type === 'array' && params.items ? schemaToType(params.items) : 'unknown';
+    return `...args: Array<${items}>`;
+  }
+
+  return params.map((schema, index) => (
+    `${schema.name || `arg${index}`}${schema.optional ? '?' : ''}: ${schemaToType(schema)}`
+  )).join(', ');
+}
+
+function propertyKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function wrap(type) {
+  return type.includes('=>') ? `(${type})` : type;
+}
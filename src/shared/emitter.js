@@ -0,0 +1,83 @@
+/**
+ * Minimal event emitter used for connection lifecycle and frame events
+ * Subscriptions may use '*' for every event or a trailing '*' as a prefix
+ * wildcard, e.g. 'form:*' receives 'form:submit' and 'form:change'
+ */
+
+export class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event, returns a function that removes the handler
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   */
+  once(event, handler) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      handler(...args);
+    };
+    wrapper.original = handler;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a handler, or every handler for the event when none is given
+   */
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    if (handler) {
+      for (const registered of handlers) {
+        if (registered === handler || registered.original === handler) {
+          handlers.delete(registered);
+        }
+      }
+    } else {
+      handlers.clear();
+    }
+
+    if (handlers.size === 0) {
+      this.listeners.delete(event);
+    }
+  }
+
+  /**
+   * Call every handler whose subscription matches the event
+   * A throwing handler is reported but does not stop the others
+   */
+  emit(event, ...args) {
+    const matching = [];
+    for (const [pattern, handlers] of this.listeners) {
+      if (matchesPattern(pattern, event)) {
+        matching.push(...handlers);
+      }
+    }
+
+    for (const handler of matching) {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`Error in '${event}' handler:`, error);
+      }
+    }
+  }
+}
+
+function matchesPattern(pattern, event) {
+  if (pattern === event || pattern === '*') return true;
+  return typeof pattern === 'string' && typeof event === 'string'
+    && pattern.endsWith('*') && event.startsWith(pattern.slice(0, -1));
+}
@@ -0,0 +1,790 @@
+/**
+ * The side of a connection shared by RPC (parent) and EmbedApi (child)
+ *
+ * RpcEndpoint holds everything both sides do once connected: calls and their
+ * timeouts, retries, cancellation and deduplication, streamed results,
+ * function arguments, events, middleware, batching and the queue of messages
+ * waiting for the handshake. Subclasses run the handshake, accept or reject
+ * window messages and may answer built-in methods through handleBuiltIn().
+ */
+
+import { createOriginMatcher, toTargetOrigin } from './origin.js';
+import { DEFAULT_CHANNEL, createId } from './protocol.js';
+import { createAbortError, getBackoffDelay, wait } from './timing.js';
+import { Emitter } from './emitter.js';
+import { CallbackRegistry, marshalCallbacks, unmarshalCallbacks } from './callbacks.js';
+import { createMethodPolicy } from './permissions.js';
+import { validate, validateParams } from './schema.js';
+import { MiddlewarePipeline } from './middleware.js';
+import {
+  BATCHABLE_TYPES,
+  RequestBatcher,
+  createIdempotencyCheck,
+  getDedupeKey,
+  resolveBatchOptions
+} from './batching.js';
+import { DEFAULT_HIGH_WATER_MARK, StreamReader, StreamWriter, isStreamable } from './streams.js';
+import { getTransferables } from './transfer.js';
+import {
+  RpcError,
+  RpcTimeoutError,
+  MethodNotFoundError,
+  ValidationError,
+  ConnectionClosedError,
+  serializeError,
+  deserializeError
+} from './errors.js';
+
+const DEFAULT_TIMEOUT = 10000;
+
+export class RpcEndpoint {
+  /**
+   * `peerWindow` is the window on the other side. Options are the ones both
+   * sides take: targetOrigin, allowedOrigins, onRejectedMessage, timeout,
+   * channel, capabilities, middleware and batch (see RPC and EmbedApi).
+   * incomingEvent/outgoingEvent are the message types of the events we
+   * receive and send ('child-event' and 'parent-event')
+   */
+  constructor(peerWindow, options, { incomingEvent, outgoingEvent }) {
+    const {
+      targetOrigin = '*',
+      allowedOrigins = targetOrigin,
+      onRejectedMessage = null,
+      timeout = DEFAULT_TIMEOUT,
+      channel = DEFAULT_CHANNEL,
+      capabilities = [],
+      middleware = [],
+      batch = false
+    } = options;
+
+    this.peerWindow = peerWindow;
+    this.channel = channel;
+    this.instanceId = createId();
+    this.targetOrigin = targetOrigin;
+    this.isAllowedOrigin = createOriginMatcher(allowedOrigins);
+    this.onRejectedMessage = onRejectedMessage;
+    this.incomingEvent = incomingEvent;
+    this.outgoingEvent = outgoingEvent;
+    this.peerOrigin = null;
+    this.connected = false;
+    this.destroyed = false;
+    this.peer = null;
+    this.timeout = timeout;
+    this.port = null;
+    this.messageId = 0;
+    this.pendingRequests = new Map();
+    this.activeHandlers = new Map();
+    this.activeStreams = new Map();
+    this.exposedMethods = new Map();
+    this.methodPolicies = new Map();
+    this.methodSchemas = new Map();
+    this.capabilities = new Set(capabilities);
+    this.events = new Emitter();
+    this.callbacks = new CallbackRegistry();
+    this.middleware = new MiddlewarePipeline();
+    middleware.forEach(entry => this.use(entry));
+
+    const batchOptions = resolveBatchOptions(batch);
+    this.batcher = batchOptions ? new RequestBatcher(message => this.transmit(message), batchOptions) : null;
+    this.isIdempotent = createIdempotencyCheck(batchOptions && batchOptions.idempotent);
+    this.inflightCalls = new Map();
+    this.batchReplies = new Map();
+    this.outbox = [];
+  }
+
+  /**
+   * Pass a validated message through the incoming middleware, then route it
+   * Each message of a batch passes through the middleware on its own
+   */
+  dispatch(data) {
+    if (data.type === 'rpc-batch') {
+      return this.handleBatch(data.messages);
+    }
+    if (!this.middleware.has('incoming')) {
+      return this.route(data);
+    }
+
+    const context = { direction: 'incoming', message: data, origin: this.peerOrigin };
+    return this.middleware.run('incoming', context, ({ message }) => this.route(message))
+      .catch(error => this.handleMiddlewareError('incoming', data, error));
+  }
+
+  /**
+   * Handle the messages of a batch together
+   * Responses to its requests are sent as soon as they are ready, the ones
+   * ready in the same task go back together as one batch
+   */
+  async handleBatch(messages) {
+    if (!Array.isArray(messages)) return;
+
+    const accepted = messages.filter(message => message && BATCHABLE_TYPES.has(message.type));
+    const reply = new RequestBatcher(message => this.transmit(message), { flush: 0 });
+    const ids = accepted.filter(message => message.type === 'rpc-request').map(message => message.id);
+    ids.forEach(id => this.batchReplies.set(id, reply));
+
+    try {
+      await Promise.all(accepted.map(message => this.dispatch(message)));
+    } finally {
+      ids.forEach(id => this.batchReplies.delete(id));
+    }
+  }
+
+  /**
+   * Route a message to its handler
+   */
+  route(data) {
+    const { type, id, method, args, result, error } = data;
+
+    if (type === this.incomingEvent) {
+      // Subscriptions match event names as strings, anything else is dropped
+      if (typeof data.event === 'string') {
+        this.events.emit(data.event, data.data, data.event);
+      }
+    } else if (type === 'rpc-request') {
+      return this.handleRequest(id, method, args, data.callback, data.stream);
+    } else if (type === 'rpc-cancel') {
+      this.handleCancel(id);
+    } else if (type === 'rpc-release') {
+      this.callbacks.release(data.callback);
+    } else if (type === 'rpc-response') {
+      this.handleResponse(id, result, error);
+    } else if (type === 'rpc-chunk') {
+      this.handleChunk(id, data.chunk);
+    } else if (type === 'rpc-credit') {
+      this.handleCredit(id, data.credit);
+    } else if (type === 'rpc-close') {
+      this.handlePeerClose();
+    }
+  }
+
+  /**
+   * Pass a message through the outgoing middleware, then send it
+   * The handshake is posted directly and never passes through middleware
+   */
+  post(message) {
+    if (!this.middleware.has('outgoing')) {
+      this.send(message);
+      return;
+    }
+
+    const context = { direction: 'outgoing', message, origin: this.peerOrigin };
+    this.middleware.run('outgoing', context, ({ message }) => this.send(message))
+      .catch(error => this.handleMiddlewareError('outgoing', message, error));
+  }
+
+  /**
+   * Send a message that came out of the middleware: responses to a batch are
+   * collected, requests are queued when batching is on
+   */
+  send(message) {
+    const reply = message.type === 'rpc-response' && this.batchReplies.get(message.id);
+    if (reply) {
+      this.batchReplies.delete(message.id);
+      reply.add(message);
+    } else if (message.type === 'rpc-request' && !message.stream && this.batcher) {
+      this.batcher.add(message);
+    } else {
+      this.transmit(message);
+    }
+  }
+
+  /**
+   * Post a message to the peer over the private port, or over the window
+   * when there is none
+   * Until the handshake has pinned the peer's origin messages are queued,
+   * see flushOutbox(). Values marked with transfer() are moved instead of copied
+   */
+  transmit(message) {
+    if (this.destroyed) return;
+    if (!this.connected) {
+      this.outbox.push(message);
+      return;
+    }
+
+    const transferables = getTransferables(message);
+    if (this.port) {
+      this.port.postMessage(this.envelope(message), transferables);
+    } else {
+      this.postToWindow(message, transferables);
+    }
+  }
+
+  /**
+   * Send the messages queued before the handshake completed
+   */
+  flushOutbox() {
+    const messages = this.outbox;
+    this.outbox = [];
+    messages.forEach((message) => {
+      // Calls that were cancelled or rejected while they waited are dropped
+      if (message.type === 'rpc-batch') {
+        const live = message.messages.filter(item => this.isLiveMessage(item));
+        if (live.length > 1) {
+          this.transmit({ ...message, messages: live });
+        } else if (live.length === 1) {
+          this.transmit(live[0]);
+        }
+      } else if (this.isLiveMessage(message)) {
+        this.transmit(message);
+      }
+    });
+  }
+
+  isLiveMessage(message) {
+    return message.type !== 'rpc-request' || this.pendingRequests.has(message.id);
+  }
+
+  /**
+   * Post a message to the peer window, used for the handshake
+   */
+  postToWindow(message, transfer = [], targetOrigin = this.getTargetOrigin()) {
+    this.peerWindow.postMessage(this.envelope(message), targetOrigin, transfer);
+  }
+
+  /**
+   * Stamp a message with our channel and instance id
+   */
+  envelope(message) {
+    return { ...message, channel: this.channel, instance: this.instanceId };
+  }
+
+  /**
+   * Report a dropped message through the onRejectedMessage hook
+   */
+  rejectMessage(event, reason) {
+    this.reportRejected({ reason, origin: event.origin, data: event.data });
+  }
+
+  reportRejected(info) {
+    if (typeof this.onRejectedMessage === 'function') {
+      this.onRejectedMessage(info);
+    }
+  }
+
+  /**
+   * Pin the peer origin when the handshake completes, so later calls and
+   * replies are only ever delivered to that origin
+   */
+  pinOrigin(origin) {
+    if (!this.peerOrigin) {
+      this.peerOrigin = origin;
+    }
+  }
+
+  /**
+   * Origin to use for outgoing messages: the pinned peer origin when known
+   */
+  getTargetOrigin() {
+    return this.peerOrigin ? toTargetOrigin(this.peerOrigin) : this.targetOrigin;
+  }
+
+  /**
+   * Names of the methods this side exposes, announced during the handshake
+   */
+  getMethodNames() {
+    return Array.from(this.exposedMethods.keys());
+  }
+
+  /**
+   * Handle RPC requests from the other frame
+   * Handlers are called with `this` set to { method, signal }, where signal
+   * aborts when the caller cancels the call. Requests made with stream()
+   * carry `stream: { credit }` and get their result chunk by chunk
+   */
+  async handleRequest(id, method, args, callback, stream) {
+    // Arguments come from the peer, anything but an array means none
+    args = Array.isArray(args) ? args : [];
+
+    if (callback === undefined && this.handleBuiltIn(id, method, args)) {
+      return;
+    }
+
+    // Exposed methods, or functions we passed to the peer as arguments
+    const handler = callback !== undefined ? this.callbacks.get(callback) : this.exposedMethods.get(method);
+    if (!handler) {
+      const error = callback !== undefined
+        ? new RpcError(`Callback #${callback} has been released`, { code: 'CALLBACK_RELEASED' })
+        : new MethodNotFoundError(method);
+      this.sendResponse(id, null, serializeError(error));
+      return;
+    }
+
+    if (callback === undefined) {
+      try {
+        this.checkPermission(method);
+      } catch (error) {
+        this.sendResponse(id, null, serializeError(error));
+        return;
+      }
+    }
+
+    const controller = new AbortController();
+    this.activeHandlers.set(id, controller);
+
+    try {
+      args = unmarshalCallbacks(args, (callbackId) => this.createCallbackProxy(callbackId));
+      this.checkSchema(method, 'params', args);
+      const result = await handler.apply({ method, signal: controller.signal }, args);
+      if (stream) {
+        await this.sendStream(id, result, stream.credit, controller.signal);
+      } else if (isStreamable(result)) {
+        throw new RpcError(`'${method}' returns a stream, read it with stream()`, { code: 'STREAM_REQUIRED', data: { method } });
+      } else {
+        this.checkSchema(method, 'result', result);
+      }
+      if (!controller.signal.aborted) {
+        this.sendResponse(id, stream ? undefined : result, null);
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this.sendResponse(id, null, serializeError(error));
+      }
+    } finally {
+      this.activeHandlers.delete(id);
+    }
+  }
+
+  /**
+   * Answer a method built into this side, returns false for anything else
+   * Exposed methods and callbacks are handled by handleRequest()
+   */
+  handleBuiltIn(id, method, args) {
+    return false;
+  }
+
+  /**
+   * Run the policy of an exposed method against the peer, throws when denied
+   */
+  checkPermission(method) {
+    const policy = this.methodPolicies.get(method);
+    if (policy) {
+      policy({ method, origin: this.peerOrigin, granted: this.capabilities });
+    }
+  }
+
+  /**
+   * Validate call arguments ('params') or a result ('result') against the
+   * method's schema, throws a ValidationError listing the failing paths
+   */
+  checkSchema(method, phase, value) {
+    const schemas = this.methodSchemas.get(method);
+    if (!schemas || !schemas[phase]) return;
+
+    const errors = phase === 'params'
+      ? validateParams(schemas.params, value)
+      : validate(schemas.result, value, 'result');
+    if (errors.length > 0) {
+      throw new ValidationError(method, errors, phase);
+    }
+  }
+
+  /**
+   * Send a streamed result chunk by chunk, as long as the peer grants credit
+   */
+  async sendStream(id, source, credit, signal) {
+    const initialCredit = Number.isInteger(credit) && credit > 0 ? credit : DEFAULT_HIGH_WATER_MARK;
+    const writer = new StreamWriter(source, initialCredit, chunk => this.post({ type: 'rpc-chunk', id, chunk }));
+
+    this.activeStreams.set(id, writer);
+    try {
+      await writer.run(signal);
+    } finally {
+      this.activeStreams.delete(id);
+    }
+  }
+
+  /**
+   * Let a stream we are sending go on with more chunks
+   */
+  handleCredit(id, credit) {
+    const writer = this.activeStreams.get(id);
+    if (writer && Number.isInteger(credit) && credit > 0) {
+      writer.addCredit(credit);
+    }
+  }
+
+  /**
+   * Hand a chunk of a stream we are reading to its reader
+   */
+  handleChunk(id, chunk) {
+    const request = this.pendingRequests.get(id);
+    if (request && request.stream) {
+      request.stream.push(chunk);
+    }
+  }
+
+  /**
+   * The peer closed the connection, see the subclasses
+   */
+  handlePeerClose() {}
+
+  /**
+   * Abort every running handler, their results are no longer wanted
+   */
+  abortHandlers() {
+    for (const controller of this.activeHandlers.values()) {
+      controller.abort();
+    }
+    this.activeHandlers.clear();
+  }
+
+  /**
+   * Reject every in-flight call, e.g. when the peer went away
+   */
+  rejectPending(error) {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Handle a cancellation from the caller by aborting the handler's signal
+   */
+  handleCancel(id) {
+    const controller = this.activeHandlers.get(id);
+    if (controller) {
+      controller.abort();
+    }
+  }
+
+  /**
+   * Handle RPC responses
+   */
+  handleResponse(id, result, error) {
+    const request = this.pendingRequests.get(id);
+    if (!request) return;
+
+    if (error) {
+      request.reject(deserializeError(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * A middleware threw: fail the call the message belongs to, or report the
+   * message through onRejectedMessage with the reason 'middleware-failed'
+   * when it is not part of a call
+   */
+  handleMiddlewareError(direction, message, error) {
+    const { type, id } = message;
+
+    if ((direction === 'outgoing' && type === 'rpc-request') || (direction === 'incoming' && type === 'rpc-response')) {
+      const request = this.pendingRequests.get(id);
+      if (request) request.reject(error);
+    } else if (direction === 'incoming' && type === 'rpc-request') {
+      this.sendResponse(id, null, serializeError(error));
+    } else {
+      this.reportRejected({ reason: 'middleware-failed', origin: this.peerOrigin, data: message, direction, error });
+    }
+  }
+
+  /**
+   * Send an RPC response to the peer
+   * `error` is an envelope produced by serializeError
+   */
+  sendResponse(id, result, error) {
+    this.post({
+      type: 'rpc-response',
+      id,
+      result,
+      error
+    });
+  }
+
+  /**
+   * Call a method on the other frame
+   */
+  call(method, ...args) {
+    return this.callWithOptions(method, args);
+  }
+
+  /**
+   * Call a method on the other frame with per-call options:
+   * - timeout: ms before the call fails (defaults to the instance timeout, 0 disables it)
+   * - signal: AbortSignal that cancels the call and aborts the remote handler
+   * - retries: how many times a timed out call is retried (default 0)
+   * - backoff: delay before each retry, a base in ms doubled per attempt or a function of the attempt
+   */
+  async callWithOptions(method, args = [], options = {}) {
+    const { timeout = this.timeout, signal, retries = 0, backoff = 0 } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.sendRequest(method, args, { timeout, signal });
+      } catch (error) {
+        if (!(error instanceof RpcTimeoutError) || attempt >= retries) {
+          throw error;
+        }
+        await wait(getBackoffDelay(backoff, attempt), signal);
+      }
+    }
+  }
+
+  /**
+   * Call a method whose handler returns a stream (an async iterable, an
+   * iterator or a ReadableStream) and read its chunks as they arrive:
+   *
+   *   for await (const line of rpc.stream('tail', 'app.log')) { ... }
+   *
+   * Breaking out of the loop cancels the call and stops the producer
+   */
+  stream(method, ...args) {
+    return this.streamWithOptions(method, args);
+  }
+
+  /**
+   * stream() with options:
+   * - highWaterMark: chunks the peer may send ahead of the reader (default 16)
+   * - signal: AbortSignal that cancels the stream
+   * - timeout: ms before the whole stream fails (default none)
+   */
+  streamWithOptions(method, args = [], options = {}) {
+    const { highWaterMark = DEFAULT_HIGH_WATER_MARK, signal, timeout = 0 } = options;
+    const controller = new AbortController();
+    const reader = new StreamReader(highWaterMark, () => controller.abort());
+
+    if (signal) {
+      const forward = () => controller.abort(signal.reason);
+      if (signal.aborted) {
+        forward();
+      } else {
+        signal.addEventListener('abort', forward, { once: true });
+      }
+    }
+
+    this.createRequest(method, args, { timeout, signal: controller.signal, stream: reader })
+      .then((result) => {
+        // A plain response (e.g. from a built-in method) is a single chunk
+        if (result !== undefined) reader.push(result);
+        reader.end();
+      }, error => reader.fail(error));
+
+    return reader;
+  }
+
+  /**
+   * Post a request and wait for its response, or join an identical
+   * in-flight call to an idempotent method
+   */
+  sendRequest(method, args, options) {
+    const key = options.signal || options.callback !== undefined || !this.isIdempotent(method)
+      ? null
+      : getDedupeKey(method, args);
+    if (key === null) {
+      return this.createRequest(method, args, options);
+    }
+
+    // Identical idempotent calls share the request already in flight
+    if (!this.inflightCalls.has(key)) {
+      const request = this.createRequest(method, args, options)
+        .finally(() => this.inflightCalls.delete(key));
+      this.inflightCalls.set(key, request);
+    }
+    return this.inflightCalls.get(key);
+  }
+
+  /**
+   * Post a new request and wait for its response
+   */
+  createRequest(method, args, { timeout, signal, callback, stream }) {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed) {
+        reject(new ConnectionClosedError());
+        return;
+      }
+      if (signal && signal.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+
+      const id = `${this.instanceId}:${++this.messageId}`;
+      let timeoutId;
+
+      const cancel = (error) => {
+        if (!this.pendingRequests.has(id)) return;
+        this.pendingRequests.get(id).reject(error);
+        // A request still waiting in the batch queue never reached the peer
+        if (!this.batcher || !this.batcher.remove(id)) {
+          this.post({ type: 'rpc-cancel', id });
+        }
+      };
+      const onAbort = () => cancel(createAbortError(signal));
+
+      const settle = (complete) => (value) => {
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.pendingRequests.delete(id);
+        complete(value);
+      };
+
+      this.pendingRequests.set(id, { method, args, callback, stream, resolve: settle(resolve), reject: settle(reject) });
+      if (stream) {
+        stream.connect(credit => this.post({ type: 'rpc-credit', id, credit }));
+      }
+
+      this.postRequest(id, method, args, callback, stream);
+
+      if (timeout > 0 && timeout !== Infinity) {
+        timeoutId = setTimeout(() => {
+          cancel(new RpcTimeoutError(`RPC call '${method}' timed out after ${timeout}ms`, { data: { method } }));
+        }, timeout);
+      }
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Post a request, replacing function arguments with callback references
+   * `callback` targets a function the peer passed us instead of a method
+   * and `stream` (a StreamReader) asks for the result chunk by chunk
+   */
+  postRequest(id, method, args, callback, stream) {
+    const message = {
+      type: 'rpc-request',
+      id,
+      method,
+      args: marshalCallbacks(args, this.callbacks)
+    };
+    if (callback !== undefined) {
+      message.callback = callback;
+    }
+    if (stream) {
+      message.stream = { credit: stream.highWaterMark };
+    }
+    this.post(message);
+  }
+
+  /**
+   * Build a local function standing in for a function the peer passed as an argument
+   * Calling it invokes the original in the peer frame; release() lets the peer drop it
+   */
+  createCallbackProxy(callbackId) {
+    const proxy = (...args) => this.sendRequest(`callback #${callbackId}`, args, {
+      timeout: this.timeout,
+      callback: callbackId
+    });
+
+    proxy.release = () => {
+      this.post({ type: 'rpc-release', callback: callbackId });
+    };
+
+    return proxy;
+  }
+
+  /**
+   * Stop accepting calls to a function previously passed to the peer
+   */
+  releaseCallback(fn) {
+    this.callbacks.release(fn);
+  }
+
+  /**
+   * Subscribe to events the peer sends with sendEvent()
+   * Handlers receive (data, eventName); use '*' or a 'prefix*' pattern to
+   * receive several events. Returns a function that removes the handler
+   */
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  /**
+   * Subscribe to the next occurrence of a peer event only
+   */
+  once(event, handler) {
+    return this.events.once(event, handler);
+  }
+
+  /**
+   * Remove a peer event handler, or all handlers for the event
+   */
+  off(event, handler) {
+    this.events.off(event, handler);
+  }
+
+  /**
+   * Send a custom event to the peer, received through its on()
+   */
+  sendEvent(eventName, data) {
+    this.post({
+      type: this.outgoingEvent,
+      event: eventName,
+      data
+    });
+  }
+
+  /**
+   * Add middleware for the messages exchanged with the peer, see middleware.js
+   * `{ outgoing, incoming }` run on messages we send and receive, a single
+   * function runs on both. Returns a function that removes the middleware
+   *
+   *   rpc.use({
+   *     outgoing: (context, next) => {
+   *       context.message = { ...context.message, token: getToken() };
+   *       return next();
+   *     }
+   *   });
+   */
+  use(middleware) {
+    return this.middleware.use(middleware);
+  }
+
+  /**
+   * Expose a method to be called by the other frame
+   * Options:
+   * - origins, capabilities, rateLimit: restrict who may call it, see createMethodPolicy;
+   *   denied calls reject with a PermissionDeniedError
+   * - params, result: schemas for the arguments and the result, see schema.js;
+   *   mismatches reject with a ValidationError
+   */
+  expose(method, handler, options = {}) {
+    const { params, result, ...permissions } = options;
+    this.exposedMethods.set(method, handler);
+
+    if (Object.keys(permissions).length > 0) {
+      this.methodPolicies.set(method, createMethodPolicy(permissions));
+    } else {
+      this.methodPolicies.delete(method);
+    }
+
+    if (params || result) {
+      this.methodSchemas.set(method, { params, result });
+    } else {
+      this.methodSchemas.delete(method);
+    }
+  }
+
+  /**
+   * Remove an exposed method
+   */
+  unexpose(method) {
+    this.exposedMethods.delete(method);
+    this.methodPolicies.delete(method);
+    this.methodSchemas.delete(method);
+  }
+
+  /**
+   * Drop everything held for calls in either direction, used by destroy()
+   */
+  releaseAll(error) {
+    this.abortHandlers();
+    this.rejectPending(error);
+    this.closePort();
+    this.callbacks.clear();
+    if (this.batcher) this.batcher.clear();
+    this.inflightCalls.clear();
+    this.outbox = [];
+    this.exposedMethods.clear();
+    this.methodPolicies.clear();
+    this.methodSchemas.clear();
+  }
+
+  closePort() {
+    if (!this.port) return;
+    this.port.onmessage = null;
+    this.port.close();
+    this.port = null;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Error classes shared by RPC and EmbedApi, see errors.js
+ */
+
+export interface RpcErrorOptions {
+  code?: string;
+  data?: unknown;
+  cause?: unknown;
+}
+
+export class RpcError extends Error {
+  constructor(message: string, options?: RpcErrorOptions);
+  code?: string;
+  data?: any;
+  cause?: unknown;
+}
+
+export class RpcTimeoutError extends RpcError {
+  constructor(message: string, options?: { data?: unknown });
+  code: 'RPC_TIMEOUT';
+}
+
+export class MethodNotFoundError extends RpcError {
+  constructor(method: string);
+  code: 'METHOD_NOT_FOUND';
+  data: { method: string };
+}
+
+export class PermissionDeniedError extends RpcError {
+  constructor(method: string, data?: Record<string, unknown>);
+  code: 'PERMISSION_DENIED';
+  data: {
+    method: string;
+    reason: 'origin-not-allowed' | 'missing-capability';
+    origin?: string;
+    capability?: string;
+  };
+}
+
+export interface ValidationIssue {
+  path: string;
+  message: string;
+}
+
+export class ValidationError extends RpcError {
+  constructor(method: string, errors: ValidationIssue[], phase?: 'params' | 'result');
+  code: 'VALIDATION_FAILED';
+  data: { method: string; phase: 'params' | 'result'; errors: ValidationIssue[] };
+}
+
+export type NavigationRejection =
+  | 'disabled'
+  | 'invalid-url'
+  | 'protocol-not-allowed'
+  | 'url-not-allowed'
+  | 'target-not-allowed'
+  | 'declined';
+
+export class NavigationError extends RpcError {
+  constructor(reason: NavigationRejection, details?: { url?: string; target?: string });
+  code: 'NAVIGATION_REJECTED';
+  reason: NavigationRejection;
+  data: { reason: NavigationRejection; url?: string; target?: string };
+}
+
+export class ConnectionClosedError extends RpcError {
+  constructor(message?: string);
+  code: 'CONNECTION_CLOSED';
+}
+
+export interface ErrorEnvelope {
+  name: string;
+  message: string;
+  stack?: string;
+  code?: unknown;
+  data?: unknown;
+  cause?: ErrorEnvelope;
+  fields?: Record<string, unknown>;
+}
+
+export class RemoteError extends RpcError {
+  constructor(envelope?: Partial<ErrorEnvelope>);
+  remoteName: string;
+  remoteStack?: string;
+}
+
+export function registerErrorClass(ErrorClass: new (...args: any[]) => Error, name?: string): void;
+export function serializeError(error: unknown): ErrorEnvelope;
+export function deserializeError(envelope: ErrorEnvelope | string): Error;
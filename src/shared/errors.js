@@ -0,0 +1,216 @@
+/**
+ * Error classes and structured error serialization for the RPC boundary
+ *
+ * Errors thrown by exposed handlers are sent as an envelope
+ * { name, message, code, data, stack, fields, cause } and rehydrated on the
+ * caller side: registered classes come back as instances of themselves,
+ * everything else as a RemoteError describing the original error.
+ */
+
+/**
+ * Base class for errors raised by the RPC layer itself
+ */
+export class RpcError extends Error {
+  constructor(message, { code, data, cause } = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+/**
+ * A call or handshake did not get an answer in time
+ */
+export class RpcTimeoutError extends RpcError {
+  constructor(message, { data } = {}) {
+    super(message, { code: 'RPC_TIMEOUT', data });
+    this.name = 'RpcTimeoutError';
+  }
+}
+
+/**
+ * The peer does not expose the requested method
+ */
+export class MethodNotFoundError extends RpcError {
+  constructor(method) {
+    super(`Method '${method}' not found`, { code: 'METHOD_NOT_FOUND', data: { method } });
+    this.name = 'MethodNotFoundError';
+  }
+}
+
+/**
+ * An error thrown by a remote handler whose class is not registered locally
+ * `remoteName` holds the original error name, `remoteStack` its stack
+ */
+export class RemoteError extends RpcError {
+  constructor(envelope = {}) {
+    super(envelope.message || 'Remote error', { code: envelope.code, data: envelope.data });
+    this.name = 'RemoteError';
+    this.remoteName = envelope.name || 'Error';
+    this.remoteStack = envelope.stack;
+  }
+}
+
+/**
+ * The caller is not allowed to call the method: its origin is not in the
+ * method's allowlist or it lacks a capability the method requires
+ * `data.reason` is 'origin-not-allowed' or 'missing-capability'
+ */
+export class PermissionDeniedError extends RpcError {
+  constructor(method, data = {}) {
+    super(`Permission denied for '${method}'`, { code: 'PERMISSION_DENIED', data: { method, ...data } });
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+/**
+ * Call arguments or a result did not match the method's schema
+ * `data.errors` lists the failures as { path, message }, `data.phase` is
+ * 'params' or 'result'
+ */
+export class ValidationError extends RpcError {
+  constructor(method, errors, phase = 'params') {
+    const details = errors.map(({ path, message }) => `${path} ${message}`).join('; ');
+    super(`Invalid ${phase} for '${method}': ${details}`, {
+      code: 'VALIDATION_FAILED',
+      data: { method, phase, errors }
+    });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * A navigation request was refused by the parent's navigation policy
+ * `reason` is one of 'disabled', 'invalid-url', 'protocol-not-allowed',
+ * 'url-not-allowed', 'target-not-allowed' or 'declined'
+ */
+export class NavigationError extends RpcError {
+  constructor(reason, { url, target } = {}) {
+    super(`Navigation to '${url}' rejected: ${reason}`, {
+      code: 'NAVIGATION_REJECTED',
+      data: { reason, url, target }
+    });
+    this.name = 'NavigationError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * The connection is closed: this side or the peer called destroy()
+ * Pending calls are rejected with it, and so is every call made afterwards
+ */
+export class ConnectionClosedError extends RpcError {
+  constructor(message = 'Connection closed') {
+    super(message, { code: 'CONNECTION_CLOSED' });
+    this.name = 'ConnectionClosedError';
+  }
+}
+
+const RESERVED_FIELDS = new Set(['name', 'message', 'stack', 'code', 'data', 'cause', 'remoteName', 'remoteStack']);
+
+const errorRegistry = new Map();
+
+/**
+ * Register an error class so it is rehydrated as itself on the other side
+ * Both frames need to register the class under the same name
+ */
+export function registerErrorClass(ErrorClass, name = ErrorClass.name) {
+  errorRegistry.set(name, ErrorClass);
+}
+
+registerErrorClass(RpcError, 'RpcError');
+registerErrorClass(RpcTimeoutError, 'RpcTimeoutError');
+registerErrorClass(MethodNotFoundError, 'MethodNotFoundError');
+registerErrorClass(PermissionDeniedError, 'PermissionDeniedError');
+registerErrorClass(ValidationError, 'ValidationError');
+registerErrorClass(NavigationError, 'NavigationError');
+registerErrorClass(ConnectionClosedError, 'ConnectionClosedError');
+
+function registeredNameOf(error) {
+  for (const [name, ErrorClass] of errorRegistry) {
+    if (error.constructor === ErrorClass) return name;
+  }
+  return null;
+}
+
+/**
+ * Make a value safe to post: structured-cloneable values pass through,
+ * anything else is turned into a string
+ */
+function toCloneable(value) {
+  try {
+    return structuredClone(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+/**
+ * Convert a thrown value into a plain, postable error envelope
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    const message = error && typeof error === 'object' && 'message' in error ? error.message : error;
+    return { name: 'Error', message: String(message) };
+  }
+
+  const envelope = {
+    name: registeredNameOf(error) || error.name,
+    message: error.message,
+    stack: error.stack
+  };
+
+  if (error.code !== undefined) envelope.code = toCloneable(error.code);
+  if (error.data !== undefined) envelope.data = toCloneable(error.data);
+  if (error.cause !== undefined) envelope.cause = serializeError(error.cause);
+
+  const fields = {};
+  for (const key of Object.keys(error)) {
+    if (!RESERVED_FIELDS.has(key)) {
+      fields[key] = toCloneable(error[key]);
+    }
+  }
+  if (Object.keys(fields).length > 0) envelope.fields = fields;
+
+  return envelope;
+}
+
+/**
+ * Rebuild an error from an envelope produced by serializeError
+ * Plain strings (older peers) become a RemoteError with that message
+ */
+export function deserializeError(envelope) {
+  if (typeof envelope === 'string') {
+    return new RemoteError({ message: envelope });
+  }
+
+  const ErrorClass = errorRegistry.get(envelope.name);
+  let error;
+
+  if (ErrorClass) {
+    error = Object.create(ErrorClass.prototype);
+    Object.assign(error, {
+      name: envelope.name,
+      message: envelope.message,
+      stack: envelope.stack,
+      code: envelope.code,
+      data: envelope.data
+    });
+  } else {
+    error = new RemoteError(envelope);
+  }
+
+  if (envelope.cause !== undefined) {
+    error.cause = deserializeError(envelope.cause);
+  }
+
+  for (const [key, value] of Object.entries(envelope.fields || {})) {
+    if (!RESERVED_FIELDS.has(key)) {
+      error[key] = value;
+    }
+  }
+
+  return error;
+}
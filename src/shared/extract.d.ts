@@ -0,0 +1,94 @@
+/**
+ * Type declarations for page content extraction, see extract.js
+ */
+
+import { StructuredContent } from './structuredData.js';
+import { ArticleContent } from './readability.js';
+import { FormDescription } from './forms.js';
+
+export type {
+  ExtractedTable,
+  HeadingEntry,
+  OpenGraphData,
+  SocialMedia,
+  StructuredContent,
+  StructuredItem
+} from './structuredData.js';
+export type { ArticleContent, ArticleInfo } from './readability.js';
+export type { FormDescription, FormField, FormFieldOption, FormFieldset } from './forms.js';
+
+export interface ExtractedLink {
+  href: string;
+  text: string;
+}
+
+export interface ExtractedImage {
+  src: string;
+  alt: string;
+}
+
+/** Labels, options, validation attributes and fieldsets included, see forms.js */
+export type ExtractedForm = FormDescription;
+
+export interface ExtractedMeta {
+  name: string;
+  content: string;
+  property: string | null;
+}
+
+export interface ExtractedContent {
+  title: string;
+  url: string;
+  html: string;
+  text: string;
+  links: ExtractedLink[];
+  images: ExtractedImage[];
+  forms: ExtractedForm[];
+  meta: ExtractedMeta[];
+}
+
+export type ExtractionField = keyof ExtractedContent | keyof StructuredContent | keyof ArticleContent;
+
+/** What extraction returns: the requested fields, custom ones included */
+export type ExtractionResult = Partial<ExtractedContent & StructuredContent & ArticleContent> & Record<string, unknown>;
+
+export interface ExtractorContext {
+  document: Document;
+  /** The scoped element, or the document element */
+  root: Element;
+  options: ExtractOptions;
+  /** Elements matching a selector inside the root, honoring includeHidden and the field's limit */
+  select(selector: string, field?: string): Element[];
+  /** The first items of a list, up to the field's limit */
+  limit<T>(items: T[], field: string): T[];
+  /** Whether an element is not rendered */
+  isHidden(element: Element): boolean;
+  /** Shorten a string to maxTextLength */
+  truncate(text: string): string;
+}
+
+export type Extractor = (context: ExtractorContext) => unknown;
+
+export interface ExtractOptions {
+  /** Fields to return (default every built-in field and custom extractor, structured data only when listed) */
+  fields?: Array<ExtractionField | (string & {})>;
+  /** Only look inside the first element matching this selector */
+  selector?: string;
+  /** Only look inside this element (not available over RPC) */
+  root?: Element;
+  /** Most items per list field */
+  limit?: number | Partial<Record<string, number>>;
+  /** Longest string returned for text, html and item texts */
+  maxTextLength?: number;
+  /** Include elements that are not rendered (default true) */
+  includeHidden?: boolean;
+  /** Custom fields (not available over RPC, register them in the child instead) */
+  extractors?: Record<string, Extractor>;
+}
+
+export const BUILT_IN_FIELDS: Array<keyof ExtractedContent>;
+export const STRUCTURED_FIELDS: Array<keyof StructuredContent>;
+export const ARTICLE_FIELDS: Array<keyof ArticleContent>;
+
+export function extractContent(document: Document, options?: ExtractOptions): ExtractionResult;
+export function isHidden(element: Element): boolean;
@@ -0,0 +1,159 @@
+/**
+ * Page content extraction shared by FrameManager.extractFromFrame() for
+ * same-origin frames and EmbedApi.getContent() (the child's built-in
+ * 'getContent' method), so both paths honor the same options:
+ * - fields: names of the fields to return (default every built-in field and
+ *   every custom extractor)
+ * - selector / root: only look inside the first element matching a CSS
+ *   selector, or inside the given element
+ * - limit: most items per list field, a number or { [field]: number }
+ * - maxTextLength: longest string returned for text, html and item texts
+ * - includeHidden: include elements that are not rendered (default true)
+ * - extractors: custom fields { [name]: (context) => value }
+ *
+ * Every extractor, built-in or custom, is called with a context of
+ * { document, root, options, select(selector, field), limit(items, field),
+ * isHidden(element), truncate(text) }, where select() applies the hidden and
+ * limit options.
+ *
+ * The structured data fields of structuredData.js (jsonLd, microdata, rdfa,
+ * openGraph, twitter, headings, tables) and the article fields of
+ * readability.js (article, markdown) are only extracted when listed in `fields`.
+ */
+
+import { STRUCTURED_EXTRACTORS } from './structuredData.js';
+import { ARTICLE_EXTRACTORS } from './readability.js';
+import { readForm } from './forms.js';
+
+export const BUILT_IN_FIELDS = ['title', 'url', 'html', 'text', 'links', 'images', 'forms', 'meta'];
+export { STRUCTURED_FIELDS } from './structuredData.js';
+export { ARTICLE_FIELDS } from './readability.js';
+
+const FIELD_EXTRACTORS = {
+  title: ({ document }) => document.title,
+
+  url: ({ document }) => document.URL,
+
+  html: ({ root, truncate }) => truncate(root.outerHTML),
+
+  text: ({ document, root, options, truncate }) => {
+    // Unscoped text has always been the body's
+    const element = root === document.documentElement ? document.body : root;
+    if (!element) return '';
+    return truncate(options.includeHidden === false ? element.innerText : element.textContent);
+  },
+
+  links: ({ select, truncate }) => select('a', 'links').map(a => ({
+    href: a.href,
+    text: truncate(a.textContent.trim())
+  })),
+
+  images: ({ select, truncate }) => select('img', 'images').map(img => ({
+    src: img.src,
+    alt: truncate(img.alt)
+  })),
+
+  // Labels, options, validation attributes and fieldsets, see forms.js
+  forms: ({ select, options, truncate }) => select('form', 'forms').map(form => readForm(form, {
+    truncate,
+    includeField: field => options.includeHidden !== false || !isHidden(field)
+  })),
+
+  // Meta tags describe the whole document, whatever the scope
+  meta: ({ document, limit, truncate }) => limit(
+    Array.from(document.querySelectorAll('meta')).map(meta => ({
+      name: meta.name,
+      content: truncate(meta.content),
+      property: meta.getAttribute('property')
+    })).filter(meta => meta.name || meta.property),
+    'meta'
+  ),
+
+  ...STRUCTURED_EXTRACTORS,
+  ...ARTICLE_EXTRACTORS
+};
+
+/**
+ * Extract the requested fields from a document, see the options above
+ * Throws a TypeError for unknown fields and an Error when `selector` matches nothing
+ */
+export function extractContent(document, options = {}) {
+  const extractors = { ...FIELD_EXTRACTORS, ...options.extractors };
+  const fields = options.fields || [...BUILT_IN_FIELDS, ...Object.keys(options.extractors || {})];
+
+  const unknown = fields.filter(field => typeof extractors[field] !== 'function');
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown extraction field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+
+  const root = resolveRoot(document, options);
+  const context = {
+    document,
+    root,
+    options,
+    select: (selector, field) => selectElements(root, selector, options, field),
+    limit: (items, field) => limitList(items, getLimit(options.limit, field)),
+    isHidden,
+    truncate: (text) => truncate(text, options.maxTextLength)
+  };
+
+  const content = {};
+  for (const field of fields) {
+    content[field] = extractors[field](context);
+  }
+  return content;
+}
+
+function resolveRoot(document, { root, selector }) {
+  if (root) return root;
+  if (!selector) return document.documentElement;
+
+  const element = document.querySelector(selector);
+  if (!element) {
+    throw new Error(`No element matches '${selector}'`);
+  }
+  return element;
+}
+
+/**
+ * Elements matching a selector inside the root, without hidden elements when
+ * they are excluded and no more than the field's limit
+ */
+function selectElements(root, selector, options, field) {
+  const max = getLimit(options.limit, field);
+  const elements = [];
+
+  for (const element of root.querySelectorAll(selector)) {
+    if (elements.length >= max) break;
+    if (options.includeHidden === false && isHidden(element)) continue;
+    elements.push(element);
+  }
+  return elements;
+}
+
+function getLimit(limit, field) {
+  if (typeof limit === 'number') return limit;
+  if (limit && typeof limit[field] === 'number') return limit[field];
+  return Infinity;
+}
+
+function limitList(items, max) {
+  return max < items.length ? items.slice(0, max) : items;
+}
+
+function truncate(text, maxLength) {
+  if (typeof text !== 'string' || typeof maxLength !== 'number' || text.length <= maxLength) {
+    return text;
+  }
+  return text.slice(0, maxLength);
+}
+
+/**
+ * Check whether an element is not rendered (display: none on it or an
+ * ancestor, or visibility: hidden)
+ */
+export function isHidden(element) {
+  if (element.getClientRects().length === 0) return true;
+  const view = element.ownerDocument.defaultView;
+  return Boolean(view) && view.getComputedStyle(element).visibility === 'hidden';
+}
@@ -0,0 +1,85 @@
+/**
+ * Type declarations for form reading and filling, see forms.js
+ */
+
+export interface FormFieldOption {
+  value: string;
+  label: string;
+  selected: boolean;
+  disabled: boolean;
+  /** Label of the enclosing optgroup */
+  group: string | null;
+}
+
+export interface FormField {
+  name: string;
+  type: string;
+  /** The selected values for multiple selects */
+  value: string | string[];
+  id: string | null;
+  /** From <label for>, a wrapping <label>, aria-labelledby or aria-label */
+  label: string | null;
+  required: boolean;
+  disabled: boolean;
+  readOnly: boolean;
+  /** Checkboxes and radios only */
+  checked?: boolean;
+  /** Selects, emails and file inputs only */
+  multiple?: boolean;
+  /** Selects only */
+  options?: FormFieldOption[];
+  placeholder?: string;
+  pattern?: string;
+  min?: string;
+  max?: string;
+  step?: string;
+  minLength?: number;
+  maxLength?: number;
+  autocomplete?: string;
+  /** Legend of the enclosing fieldset */
+  fieldset: string | null;
+}
+
+export interface FormFieldset {
+  legend: string | null;
+  disabled: boolean;
+  /** Names of the fields inside it */
+  fields: string[];
+}
+
+export interface FormDescription {
+  action: string;
+  method: string;
+  id: string | null;
+  name: string | null;
+  fields: FormField[];
+  fieldsets: FormFieldset[];
+}
+
+export interface ReadFormOptions {
+  truncate?: (text: string) => string;
+  includeField?: (field: HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement) => boolean;
+}
+
+/** Field name to value: a string, a boolean for a checkbox, an array for multiple selects or checkbox groups */
+export type FormValues = Record<string, string | number | boolean | null | Array<string | number>>;
+
+export interface FillFormOptions {
+  /** Submit with requestSubmit() after filling, when the form is valid */
+  submit?: boolean;
+}
+
+export interface FillFormResult {
+  /** Names that were written */
+  filled: string[];
+  /** Names without a field (or option) able to take the value */
+  missing: string[];
+  submitted: boolean;
+}
+
+/** A CSS selector, or an index in document.forms */
+export type FormSelector = string | number;
+
+export function readForm(form: HTMLFormElement, options?: ReadFormOptions): FormDescription;
+export function findForm(document: Document, formSelector: FormSelector): HTMLFormElement;
+export function fillForm(form: HTMLFormElement, values: FormValues, options?: FillFormOptions): FillFormResult;
@@ -0,0 +1,287 @@
+/**
+ * Form reading and filling shared by FrameManager (extractFromFrame() and
+ * fillForm() on same-origin frames) and EmbedApi (the child's 'getContent'
+ * and 'fillForm' built-ins)
+ *
+ * readForm() describes a form and every input, select and textarea that
+ * belongs to it: the label (from <label for>, a wrapping <label>,
+ * aria-labelledby or aria-label), checked state, select options, validation
+ * attributes and the legend of the enclosing fieldset.
+ *
+ * fillForm() writes values the way a user would: through the native value
+ * setters (so framework-managed inputs notice), followed by input and change
+ * events, and optionally submits with requestSubmit() so submit handlers and
+ * constraint validation run.
+ */
+
+const CONTROL_TAGS = new Set(['INPUT', 'SELECT', 'TEXTAREA']);
+const CHECKABLE_TYPES = new Set(['checkbox', 'radio']);
+const UNFILLABLE_TYPES = new Set(['file', 'submit', 'reset', 'button', 'image']);
+
+const identity = value => value;
+
+/**
+ * Describe a form and its fields
+ * - truncate: shortens values and labels
+ * - includeField: predicate for fields to describe (default all)
+ */
+export function readForm(form, { truncate = identity, includeField = () => true } = {}) {
+  const fields = getControls(form).filter(includeField);
+
+  return {
+    action: form.action,
+    method: form.method,
+    id: form.id || null,
+    name: form.getAttribute('name'),
+    fields: fields.map(field => readField(field, truncate)),
+    fieldsets: Array.from(form.querySelectorAll('fieldset')).map(fieldset => ({
+      legend: readLegend(fieldset, truncate),
+      disabled: fieldset.disabled,
+      fields: fields.filter(field => fieldset.contains(field)).map(field => field.name)
+    }))
+  };
+}
+
+function readField(field, truncate) {
+  const type = field.type;
+  const description = {
+    name: field.name,
+    type,
+    value: field.type === 'select-multiple'
+      ? Array.from(field.selectedOptions, option => truncate(option.value))
+      : truncate(field.value),
+    id: field.id || null,
+    label: truncate(getLabel(field)),
+    required: field.required,
+    disabled: field.disabled,
+    readOnly: Boolean(field.readOnly)
+  };
+
+  if (CHECKABLE_TYPES.has(type)) {
+    description.checked = field.checked;
+  }
+
+  if (field.tagName === 'SELECT') {
+    description.multiple = field.multiple;
+    description.options = Array.from(field.options).map(option => ({
+      value: truncate(option.value),
+      label: truncate(option.label),
+      selected: option.selected,
+      disabled: option.disabled,
+      group: option.parentElement.tagName === 'OPTGROUP' ? option.parentElement.label : null
+    }));
+  }
+
+  for (const attribute of ['placeholder', 'pattern', 'min', 'max', 'step', 'autocomplete']) {
+    const value = field.getAttribute(attribute);
+    if (value !== null) description[attribute] = value;
+  }
+  for (const attribute of ['minlength', 'maxlength']) {
+    const value = field.getAttribute(attribute);
+    if (value !== null) description[attribute === 'minlength' ? 'minLength' : 'maxLength'] = Number(value);
+  }
+  if (type === 'email' || type === 'file') {
+    description.multiple = field.multiple;
+  }
+
+  const fieldset = field.closest('fieldset');
+  description.fieldset = fieldset && field.form && field.form.contains(fieldset)
+    ? readLegend(fieldset, truncate)
+    : null;
+
+  return description;
+}
+
+/**
+ * The accessible label of a control: <label for> or a wrapping <label>,
+ * then aria-labelledby, then aria-label
+ */
+function getLabel(field) {
+  const labels = Array.from(field.labels || []).map(getOwnText).filter(Boolean);
+  if (labels.length > 0) return labels.join(' ');
+
+  const labelledBy = field.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => field.ownerDocument.getElementById(id))
+      .filter(Boolean)
+      .map(getOwnText)
+      .join(' ');
+    if (text) return text;
+  }
+
+  return field.getAttribute('aria-label') || null;
+}
+
+/**
+ * Text of an element, leaving out the controls it wraps (a label around a
+ * select would otherwise include every option)
+ */
+function getOwnText(element) {
+  let text = '';
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        text += child.data;
+      } else if (child.nodeType === 1 && !CONTROL_TAGS.has(child.tagName) && child.tagName !== 'SCRIPT' && child.tagName !== 'STYLE') {
+        walk(child);
+      }
+    }
+  };
+  walk(element);
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function readLegend(fieldset, truncate) {
+  const legend = Array.from(fieldset.children).find(child => child.tagName === 'LEGEND');
+  return legend ? truncate(getOwnText(legend)) : null;
+}
+
+/**
+ * Inputs, selects and textareas that belong to a form, including those
+ * associated through the form attribute
+ */
+function getControls(form) {
+  return Array.from(form.elements).filter(element => CONTROL_TAGS.has(element.tagName));
+}
+
+/**
+ * Find a form by CSS selector, or by index in document.forms
+ * Throws an Error when nothing matches
+ */
+export function findForm(document, formSelector) {
+  const form = typeof formSelector === 'number'
+    ? document.forms[formSelector]
+    : document.querySelector(formSelector);
+
+  if (!form || form.tagName !== 'FORM') {
+    throw new Error(`No form matches '${formSelector}'`);
+  }
+  return form;
+}
+
+/**
+ * Fill a form with `values` ({ [field name]: value }) and optionally submit it
+ * - text-like fields and single selects take a string
+ * - checkboxes take a boolean, or the values to check when several share a name
+ * - radios take the value of the one to check
+ * - multiple selects take an array of option values
+ *
+ * Disabled, read-only and file fields are never written. Resolves to
+ * { filled, missing, submitted } where `missing` lists the names that had no
+ * field (or option) able to take the value
+ */
+export function fillForm(form, values, { submit = false } = {}) {
+  const controls = getControls(form);
+  const filled = [];
+  const missing = [];
+
+  for (const [name, value] of Object.entries(values || {})) {
+    const fields = controls.filter(field => field.name === name
+      && !field.disabled
+      && !field.readOnly
+      && !UNFILLABLE_TYPES.has(field.type));
+
+    if (fields.length > 0 && fillFields(fields, value)) {
+      filled.push(name);
+    } else {
+      missing.push(name);
+    }
+  }
+
+  let submitted = false;
+  if (submit) {
+    if (form.checkValidity()) {
+      if (typeof form.requestSubmit === 'function') {
+        form.requestSubmit();
+      } else {
+        form.submit();
+      }
+      submitted = true;
+    } else {
+      // Shows the browser's validation messages like a user's submit would
+      form.reportValidity();
+    }
+  }
+
+  return { filled, missing, submitted };
+}
+
+/**
+ * Write a value to the fields sharing a name, returns false when it fits none
+ */
+function fillFields(fields, value) {
+  const type = fields[0].type;
+
+  if (type === 'radio') {
+    const radio = fields.find(field => field.value === String(value));
+    if (!radio) return false;
+    setChecked(radio, true);
+    return true;
+  }
+
+  if (type === 'checkbox') {
+    if (fields.length === 1 && !Array.isArray(value)) {
+      setChecked(fields[0], typeof value === 'boolean' ? value : fields[0].value === String(value));
+      return true;
+    }
+    const checked = (Array.isArray(value) ? value : [value]).map(String);
+    if (!checked.every(item => fields.some(field => field.value === item))) return false;
+    fields.forEach(field => setChecked(field, checked.includes(field.value)));
+    return true;
+  }
+
+  const field = fields[0];
+  if (field.tagName === 'SELECT') {
+    const selected = (Array.isArray(value) ? value : [value]).map(String);
+    const options = Array.from(field.options);
+    if (!selected.every(item => options.some(option => option.value === item))) return false;
+    if (!field.multiple && selected.length !== 1) return false;
+
+    options.forEach((option) => {
+      option.selected = selected.includes(option.value);
+    });
+    dispatchEvents(field);
+    return true;
+  }
+
+  setValue(field, value === null || value === undefined ? '' : String(value));
+  return true;
+}
+
+/**
+ * Set a value through the prototype's setter, so frameworks that track the
+ * value on the element itself see the change when the events arrive
+ */
+function setValue(field, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(field), 'value');
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(field, value);
+  } else {
+    field.value = value;
+  }
+  dispatchEvents(field);
+}
+
+function setChecked(field, checked) {
+  if (field.checked === checked) return;
+  const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(field), 'checked');
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(field, checked);
+  } else {
+    field.checked = checked;
+  }
+  // Clicking fires click, input and change; click handlers are not emulated
+  dispatchEvents(field);
+}
+
+/**
+ * input then change, created in the field's own window so listeners in a
+ * same-origin frame get events from their realm
+ */
+function dispatchEvents(field) {
+  const view = field.ownerDocument.defaultView;
+  const EventClass = view ? view.Event : Event;
+  field.dispatchEvent(new EventClass('input', { bubbles: true, composed: true }));
+  field.dispatchEvent(new EventClass('change', { bubbles: true }));
+}
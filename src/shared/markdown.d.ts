@@ -0,0 +1,12 @@
+/**
+ * Type declarations for DOM to Markdown conversion, see markdown.js
+ */
+
+export interface MarkdownOptions {
+  /** Elements to leave out */
+  skip?: (element: Element) => boolean;
+  /** Produce plain text without Markdown syntax */
+  plain?: boolean;
+}
+
+export function toMarkdown(element: Element, options?: MarkdownOptions): string;
@@ -0,0 +1,206 @@
+/**
+ * DOM to Markdown conversion for the `markdown` extraction field
+ *
+ * Headings, paragraphs, lists (nested too), blockquotes, code blocks (with
+ * the language of a language-* class), tables, links, images and emphasis
+ * are converted; scripts, styles, form controls and embedded content are
+ * dropped and other elements contribute their content. With `plain: true`
+ * the same walk produces readable plain text instead.
+ */
+
+import { readTable } from './structuredData.js';
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hgroup', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'ul'
+]);
+
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'audio', 'video', 'button', 'input', 'select', 'textarea', 'head', 'title', 'meta', 'link'
+]);
+
+/**
+ * Convert an element's content to Markdown (or plain text)
+ * - skip: predicate for elements to leave out, e.g. boilerplate
+ * - plain: produce plain text without Markdown syntax
+ */
+export function toMarkdown(element, { skip = () => false, plain = false } = {}) {
+  const context = { skip, plain };
+  return renderContainer(element, context, '\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function isDropped(element, context) {
+  return DROPPED_TAGS.has(element.tagName.toLowerCase()) || context.skip(element);
+}
+
+/**
+ * Render the children of a block: runs of inline content become paragraphs,
+ * block children render on their own and everything is joined by `separator`
+ */
+function renderContainer(element, context, separator) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    // A line break ending a paragraph would leave a stray backslash
+    const text = inline.replace(/(\\\n\s*)+$/, '').replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  for (const child of element.childNodes) {
+    if (child.nodeType === 1 && BLOCK_TAGS.has(child.tagName.toLowerCase())) {
+      if (isDropped(child, context)) continue;
+      flush();
+      const block = renderBlock(child, context);
+      if (block) blocks.push(block);
+    } else {
+      inline += renderInline(child, context);
+    }
+  }
+  flush();
+
+  return blocks.join(separator);
+}
+
+function renderBlock(element, context) {
+  const tag = element.tagName.toLowerCase();
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = renderInlineChildren(element, context).trim();
+    if (!text || context.plain) return text;
+    return `${'#'.repeat(Number(tag[1]))} ${text}`;
+  }
+
+  if (tag === 'p' || tag === 'figcaption' || tag === 'dt' || tag === 'summary') {
+    return renderContainer(element, context, '\n\n');
+  }
+
+  if (tag === 'pre') {
+    const code = element.textContent.replace(/\n$/, '');
+    if (context.plain) return code;
+    const fence = code.includes('```') ? '~~~' : '```';
+    return `${fence}${getCodeLanguage(element)}\n${code}\n${fence}`;
+  }
+
+  if (tag === 'ul' || tag === 'ol') {
+    return renderList(element, context, tag === 'ol');
+  }
+
+  if (tag === 'blockquote') {
+    const content = renderContainer(element, context, '\n\n');
+    if (context.plain) return content;
+    return content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+  }
+
+  if (tag === 'hr') {
+    return context.plain ? '' : '---';
+  }
+
+  if (tag === 'table') {
+    return renderTable(element, context);
+  }
+
+  return renderContainer(element, context, '\n\n');
+}
+
+function renderList(list, context, ordered) {
+  const start = ordered && list.hasAttribute('start') ? Number(list.getAttribute('start')) : 1;
+  const items = Array.from(list.children).filter(child => child.tagName.toLowerCase() === 'li' && !isDropped(child, context));
+
+  return items.map((item, index) => {
+    const marker = ordered ? `${start + index}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    // Nested lists stay tight under their item
+    const content = renderContainer(item, context, '\n');
+    return content.split('\n')
+      .map((line, lineIndex) => (lineIndex === 0 ? marker + line : (line ? indent + line : '')))
+      .join('\n');
+  }).join('\n');
+}
+
+function renderTable(table, context) {
+  const { headers, rows } = readTable(table);
+  if (headers.length === 0) return '';
+
+  if (context.plain) {
+    return [headers, ...rows.map(row => headers.map(header => row[header]))]
+      .map(cells => cells.join('\t'))
+      .join('\n');
+  }
+
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${headers.map(header => cell(row[header])).join(' | ')} |`)
+  ].join('\n');
+}
+
+function renderInlineChildren(element, context) {
+  return Array.from(element.childNodes).map(child => renderInline(child, context)).join('');
+}
+
+function renderInline(node, context) {
+  if (node.nodeType === 3) {
+    const text = node.data.replace(/\s+/g, ' ');
+    return context.plain ? text : escapeMarkdown(text);
+  }
+  if (node.nodeType !== 1 || isDropped(node, context)) return '';
+
+  const tag = node.tagName.toLowerCase();
+
+  if (tag === 'br') {
+    return context.plain ? '\n' : '\\\n';
+  }
+
+  if (tag === 'img') {
+    if (context.plain || !node.getAttribute('src')) return node.alt || '';
+    return `![${escapeMarkdown(node.alt || '')}](${node.src})`;
+  }
+
+  const content = renderInlineChildren(node, context);
+  if (context.plain) return content;
+
+  if (tag === 'code') {
+    const code = node.textContent;
+    const ticks = code.includes('`') ? '``' : '`';
+    return code.trim() ? `${ticks}${code}${ticks}` : '';
+  }
+
+  if (tag === 'a') {
+    const href = node.getAttribute('href');
+    if (!href || href.startsWith('javascript:')) return content;
+    const text = content.trim() || node.href;
+    return `[${text}](${node.href}${node.title ? ` "${node.title.replace(/"/g, '\\"')}"` : ''})`;
+  }
+
+  if (tag === 'strong' || tag === 'b') return wrap(content, '**');
+  if (tag === 'em' || tag === 'i') return wrap(content, '_');
+  if (tag === 'del' || tag === 's' || tag === 'strike') return wrap(content, '~~');
+
+  return content;
+}
+
+/**
+ * Wrap inline content in a delimiter, keeping surrounding spaces outside
+ */
+function wrap(content, delimiter) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function getCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const classes = `${pre.className} ${code ? code.className : ''}`;
+  const match = classes.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+  return match ? match[1] : '';
+}
@@ -0,0 +1,39 @@
+/**
+ * Type declarations for the message middleware, see middleware.js
+ */
+
+export type MiddlewareDirection = 'outgoing' | 'incoming';
+
+export interface RpcMessage {
+  type: string;
+  id?: string;
+  method?: string;
+  args?: unknown[];
+  result?: unknown;
+  error?: unknown;
+  event?: string;
+  data?: unknown;
+  [key: string]: unknown;
+}
+
+export interface MiddlewareContext {
+  direction: MiddlewareDirection;
+  /** May be replaced to transform the message */
+  message: RpcMessage;
+  /** Origin of the peer, null before it is known */
+  origin: string | null;
+}
+
+export type MiddlewareFunction = (context: MiddlewareContext, next: () => Promise<unknown>) => unknown;
+
+export type Middleware = MiddlewareFunction | {
+  outgoing?: MiddlewareFunction;
+  incoming?: MiddlewareFunction;
+};
+
+export class MiddlewarePipeline {
+  stacks: Record<MiddlewareDirection, MiddlewareFunction[]>;
+  use(middleware: Middleware): () => void;
+  has(direction: MiddlewareDirection): boolean;
+  run(direction: MiddlewareDirection, context: MiddlewareContext, last: (context: MiddlewareContext) => unknown): Promise<unknown>;
+}
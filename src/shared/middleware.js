@@ -0,0 +1,72 @@
+/**
+ * Koa-style middleware for the messages exchanged by RPC and EmbedApi
+ *
+ * Middleware is called as `middleware(context, next)` where context is
+ * { direction: 'outgoing' | 'incoming', message, origin }. It may read or
+ * replace `context.message` and must call `next()` to pass the message on;
+ * a message whose middleware never calls next() is dropped. `next()` resolves
+ * once the rest of the chain is done: for incoming requests that is after
+ * the handler answered, for outgoing messages after the message was posted
+ */
+
+export class MiddlewarePipeline {
+  constructor() {
+    this.stacks = { outgoing: [], incoming: [] };
+  }
+
+  /**
+   * Add middleware: { outgoing, incoming } with either function, or a single
+   * function run in both directions. Returns a function that removes it
+   */
+  use(middleware) {
+    const entries = typeof middleware === 'function'
+      ? { outgoing: middleware, incoming: middleware }
+      : middleware || {};
+
+    const added = Object.keys(this.stacks).filter(direction => typeof entries[direction] === 'function');
+    if (added.length === 0) {
+      throw new TypeError('Middleware must be a function or an object with outgoing and/or incoming functions');
+    }
+
+    added.forEach(direction => this.stacks[direction].push(entries[direction]));
+
+    return () => {
+      added.forEach((direction) => {
+        const index = this.stacks[direction].indexOf(entries[direction]);
+        if (index !== -1) this.stacks[direction].splice(index, 1);
+      });
+    };
+  }
+
+  /**
+   * Check whether any middleware runs in a direction
+   */
+  has(direction) {
+    return this.stacks[direction].length > 0;
+  }
+
+  /**
+   * Pass a context through the middleware of a direction, calling
+   * `last(context)` at the end of the chain
+   */
+  run(direction, context, last) {
+    const stack = [...this.stacks[direction]];
+
+    const dispatch = async (index) => {
+      if (index === stack.length) {
+        return last(context);
+      }
+
+      let called = false;
+      return stack[index](context, () => {
+        if (called) {
+          return Promise.reject(new Error('next() called multiple times'));
+        }
+        called = true;
+        return dispatch(index + 1);
+      });
+    };
+
+    return dispatch(0);
+  }
+}
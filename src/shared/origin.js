@@ -0,0 +1,64 @@
+/**
+ * Origin helpers shared by the parent-side RPC and the child-side EmbedApi
+ * Builds allowlist matchers and resolves safe postMessage target origins
+ */
+
+/**
+ * Create a predicate that checks an origin against an allowlist
+ *
+ * Entries may be:
+ * - '*' to allow any origin
+ * - an exact origin, e.g. 'https://app.example.com'
+ * - a wildcard subdomain, e.g. 'https://*.example.com' (does not match the apex domain)
+ * - a RegExp tested against the origin
+ * - a predicate function receiving the origin
+ */
+export function createOriginMatcher(allowedOrigins = '*') {
+  const entries = Array.isArray(allowedOrigins) ? allowedOrigins : [allowedOrigins];
+  const matchers = entries.map(toMatcher);
+
+  return (origin) => matchers.some(matches => matches(origin));
+}
+
+/**
+ * Convert a single allowlist entry into a predicate
+ */
+function toMatcher(entry) {
+  if (typeof entry === 'function') {
+    return (origin) => Boolean(entry(origin));
+  }
+
+  if (entry instanceof RegExp) {
+    return (origin) => entry.test(origin);
+  }
+
+  if (entry === '*') {
+    return () => true;
+  }
+
+  if (typeof entry !== 'string') {
+    throw new TypeError(`Invalid origin allowlist entry: ${entry}`);
+  }
+
+  const wildcard = entry.match(/^([a-z][a-z0-9+.-]*):\/\/\*\.(.+)$/i);
+  if (wildcard) {
+    const [, scheme, rest] = wildcard;
+    const pattern = new RegExp(`^${escapeRegExp(scheme)}://([a-z0-9-]+\\.)+${escapeRegExp(rest)}$`, 'i');
+    return (origin) => pattern.test(origin);
+  }
+
+  return (origin) => origin === entry;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolve the targetOrigin to use when posting to a peer with a known origin
+ * Opaque origins (sandboxed frames, data: URLs) report 'null', which postMessage
+ * cannot target, so they fall back to '*'
+ */
+export function toTargetOrigin(origin) {
+  return !origin || origin === 'null' ? '*' : origin;
+}
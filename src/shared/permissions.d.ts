@@ -0,0 +1,22 @@
+/**
+ * Per-method permissions for exposed methods, see permissions.js
+ */
+
+export interface RateLimit {
+  /** Calls allowed per interval */
+  max: number;
+  /** Interval in ms */
+  interval: number;
+}
+
+export type OriginMatcher = string | RegExp | ((origin: string) => boolean);
+
+export interface MethodPermissions {
+  origins?: OriginMatcher | OriginMatcher[];
+  capabilities?: string | string[];
+  rateLimit?: RateLimit;
+}
+
+export function createMethodPolicy(
+  permissions?: MethodPermissions
+): (call: { method: string; origin: string | null; granted: Set<string> }) => void;
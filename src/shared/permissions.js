@@ -0,0 +1,49 @@
+/**
+ * Per-method permissions for exposed methods
+ *
+ * expose(method, handler, options) can restrict who may call a method:
+ * - origins: caller origins allowed to call it, see createOriginMatcher
+ * - capabilities: capability names the caller must have been granted during the handshake
+ * - rateLimit: { max, interval } - at most `max` calls per `interval` ms, extra
+ *   calls fail with code 'RATE_LIMITED'
+ */
+
+import { createOriginMatcher } from './origin.js';
+import { PermissionDeniedError, RpcError } from './errors.js';
+
+/**
+ * Create the check run before every call of a method
+ * The check receives { method, origin, granted } where `granted` is the set of
+ * capabilities given to the caller, and throws when the call is not allowed
+ */
+export function createMethodPolicy({ origins, capabilities = [], rateLimit = null } = {}) {
+  const isAllowedOrigin = origins === undefined ? null : createOriginMatcher(origins);
+  const required = Array.isArray(capabilities) ? capabilities : [capabilities];
+  const calls = [];
+
+  return ({ method, origin, granted }) => {
+    if (isAllowedOrigin && !isAllowedOrigin(origin)) {
+      throw new PermissionDeniedError(method, { reason: 'origin-not-allowed', origin });
+    }
+
+    const missing = required.find(capability => !granted.has(capability));
+    if (missing !== undefined) {
+      throw new PermissionDeniedError(method, { reason: 'missing-capability', capability: missing });
+    }
+
+    if (rateLimit) {
+      const { max, interval } = rateLimit;
+      const now = Date.now();
+      while (calls.length > 0 && now - calls[0] >= interval) {
+        calls.shift();
+      }
+      if (calls.length >= max) {
+        throw new RpcError(`Rate limit exceeded for '${method}'`, {
+          code: 'RATE_LIMITED',
+          data: { method, max, interval }
+        });
+      }
+      calls.push(now);
+    }
+  };
+}
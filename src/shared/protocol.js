@@ -0,0 +1,50 @@
+/**
+ * Wire protocol details shared by the parent-side RPC and the child-side EmbedApi
+ *
+ * Connection handshake:
+ * 1. parent -> child  'rpc-hello'   { version, methods }           (re-sent until answered)
+ * 2. child  -> parent 'child-ready' { version, methods, capabilities, session, url }
+ * 3. parent -> child  'rpc-ack'     { version, methods, capabilities, session, transport }
+ *
+ * `capabilities` lists what each side grants the other, see permissions.js.
+ * The child also announces 'child-ready' on its own as soon as it loads. A hello
+ * carrying a `session` is a liveness probe that only the matching child answers.
+ *
+ * The ack that opens a connection names the transport for everything after the
+ * handshake: 'port' transfers one end of a MessageChannel along with the ack,
+ * 'window' (no MessageChannel, or the transfer failed) keeps using
+ * window.postMessage. Acks repeated for an established connection omit it.
+ *
+ * Every envelope carries `channel` and `instance` (the sender's random id; the
+ * child uses its session). Messages for another channel belong to some other
+ * library or setup and are ignored, and request ids are prefixed with the
+ * instance id so ids from different connections never collide.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+export const DEFAULT_CHANNEL = 'iframe-integration-suite';
+
+/**
+ * Check whether a peer speaks a protocol version we understand
+ */
+export function isCompatibleVersion(version) {
+  return version === PROTOCOL_VERSION;
+}
+
+/**
+ * Create a random identifier for sessions and connections
+ */
+export function createId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+/**
+ * Check that `data` is one of our envelopes: on `channel` and of a known type
+ */
+export function isChannelMessage(data, channel, types) {
+  return !!data && typeof data === 'object' && data.channel === channel && types.has(data.type);
+}
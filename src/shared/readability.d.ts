@@ -0,0 +1,27 @@
+/**
+ * Type declarations for main content detection, see readability.js
+ */
+
+import { Extractor, ExtractOptions } from './extract.js';
+
+export interface ArticleInfo {
+  title: string;
+  byline: string | null;
+  siteName: string | null;
+  publishedTime: string | null;
+  excerpt: string | null;
+  /** The main content as plain text */
+  text: string;
+  length: number;
+}
+
+export interface ArticleContent {
+  article: ArticleInfo;
+  /** The main content as Markdown */
+  markdown: string;
+}
+
+export const ARTICLE_FIELDS: Array<keyof ArticleContent>;
+export const ARTICLE_EXTRACTORS: Record<keyof ArticleContent, Extractor>;
+
+export function findMainContent(document: Document, root: Element, options?: ExtractOptions): Element;
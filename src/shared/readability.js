@@ -0,0 +1,155 @@
+/**
+ * Readability-style main content detection for the `article` and `markdown`
+ * extraction fields, both only extracted when listed in `fields`:
+ * - article: { title, byline, siteName, publishedTime, excerpt, text, length }
+ *   where text is the main content as clean plain text
+ * - markdown: the main content as Markdown
+ *
+ * The main content is the scoped element when `selector` or `root` is
+ * given. Otherwise it is the page's article element (articleBody, <article>,
+ * role="main" or <main>) when that holds real text, or else the container
+ * whose paragraphs score best by length and commas, penalized for links and
+ * for class names typical of boilerplate. Navigation, sidebars, footers,
+ * comments, share widgets and hidden elements (unless `includeHidden` is
+ * explicitly true) are left out either way.
+ */
+
+import { toMarkdown } from './markdown.js';
+
+export const ARTICLE_FIELDS = ['article', 'markdown'];
+
+const ARTICLE_SELECTORS = ['[itemprop="articleBody"]', 'article', '[role="main"]', 'main'];
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'footer', 'form']);
+const BOILERPLATE_ROLES = new Set(['navigation', 'complementary', 'contentinfo', 'banner', 'search', 'dialog']);
+const NEGATIVE_NAMES = /comment|share|social|related|sponsor|advert|promo|newsletter|cookie|popup|modal|breadcrumb|sidebar|footer|menu|nav\b/i;
+const POSITIVE_NAMES = /article|body|content|entry|main|page|post|text|blog|story/i;
+
+export const ARTICLE_EXTRACTORS = {
+  article: ({ document, root, options, isHidden, truncate }) => {
+    const content = findMainContent(document, root, options);
+    const skip = createBoilerplateCheck(content, options.includeHidden === true ? null : isHidden);
+    const text = toMarkdown(content, { skip, plain: true });
+
+    return {
+      title: readMeta(document, 'property', 'og:title') || firstText(content, 'h1') || document.title,
+      byline: readMeta(document, 'name', 'author') || firstText(document, '[rel="author"], [itemprop="author"], .byline, .author'),
+      siteName: readMeta(document, 'property', 'og:site_name'),
+      publishedTime: readMeta(document, 'property', 'article:published_time') || readDateTime(content),
+      excerpt: truncate(readMeta(document, 'name', 'description')
+        || readMeta(document, 'property', 'og:description')
+        || firstText(content, 'p')),
+      text: truncate(text),
+      length: text.length
+    };
+  },
+
+  markdown: ({ document, root, options, isHidden, truncate }) => {
+    const content = findMainContent(document, root, options);
+    const skip = createBoilerplateCheck(content, options.includeHidden === true ? null : isHidden);
+    return truncate(toMarkdown(content, { skip }));
+  }
+};
+
+/**
+ * The element holding the main content, see above
+ */
+export function findMainContent(document, root, options = {}) {
+  if (options.selector || options.root || !document.body) return root;
+
+  for (const selector of ARTICLE_SELECTORS) {
+    const element = document.querySelector(selector);
+    if (element && getParagraphText(element).length >= 200) return element;
+  }
+
+  const isBoilerplate = createBoilerplateCheck(document.body, null);
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (element && element.nodeType === 1) scores.set(element, (scores.get(element) || 0) + score);
+  };
+
+  for (const paragraph of document.body.querySelectorAll('p, pre, blockquote')) {
+    if (hasAncestor(paragraph, document.body, isBoilerplate)) continue;
+    const text = paragraph.textContent.trim();
+    if (text.length < 25) continue;
+
+    const score = 1 + (text.split(',').length - 1) + Math.min(3, Math.floor(text.length / 100));
+    addScore(paragraph.parentElement, score);
+    addScore(paragraph.parentElement && paragraph.parentElement.parentElement, score / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const total = (score + getNameWeight(element)) * (1 - getLinkDensity(element));
+    if (total > bestScore) {
+      best = element;
+      bestScore = total;
+    }
+  });
+
+  return best || document.body;
+}
+
+/**
+ * Predicate for elements that are not part of the content inside `content`
+ * Hidden elements count too when an `isHidden` check is given
+ */
+function createBoilerplateCheck(content, isHidden) {
+  return (element) => {
+    if (element === content) return false;
+
+    const tag = element.tagName.toLowerCase();
+    if (BOILERPLATE_TAGS.has(tag)) return true;
+    // Article headers hold the title, page headers the logo and menu
+    if (tag === 'header' && !element.parentElement.closest('article')) return true;
+    if (BOILERPLATE_ROLES.has(element.getAttribute('role'))) return true;
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+
+    const names = `${element.className && typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+    if (NEGATIVE_NAMES.test(names) && !POSITIVE_NAMES.test(names)) return true;
+
+    return Boolean(isHidden) && tag !== 'br' && isHidden(element);
+  };
+}
+
+function hasAncestor(element, stop, predicate) {
+  for (let current = element.parentElement; current && current !== stop; current = current.parentElement) {
+    if (predicate(current)) return true;
+  }
+  return false;
+}
+
+function getParagraphText(element) {
+  return Array.from(element.querySelectorAll('p')).map(p => p.textContent.trim()).join(' ');
+}
+
+function getNameWeight(element) {
+  const names = `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+  let weight = 0;
+  if (POSITIVE_NAMES.test(names)) weight += 25;
+  if (NEGATIVE_NAMES.test(names)) weight -= 25;
+  return weight;
+}
+
+function getLinkDensity(element) {
+  const length = element.textContent.length;
+  if (length === 0) return 0;
+  const linkLength = Array.from(element.querySelectorAll('a'))
+    .reduce((total, link) => total + link.textContent.length, 0);
+  return Math.min(1, linkLength / length);
+}
+
+function readMeta(document, attribute, value) {
+  const meta = document.querySelector(`meta[${attribute}="${value}"]`);
+  return meta ? meta.getAttribute('content') : null;
+}
+
+function readDateTime(element) {
+  const time = element.querySelector('time[datetime]');
+  return time ? time.getAttribute('datetime') : null;
+}
+
+function firstText(element, selector) {
+  const match = element.querySelector(selector);
+  return match ? match.textContent.trim().replace(/\s+/g, ' ') || null : null;
+}
@@ -0,0 +1,43 @@
+/**
+ * JSON-Schema-like descriptors for exposed method parameters and results, see schema.js
+ */
+
+import { ValidationIssue } from './errors.js';
+
+export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | 'function';
+
+export interface Schema {
+  type?: SchemaType | SchemaType[];
+  enum?: unknown[];
+  const?: unknown;
+  anyOf?: Schema[];
+  properties?: Record<string, Schema>;
+  required?: string[];
+  additionalProperties?: boolean | Schema;
+  items?: Schema;
+  minItems?: number;
+  maxItems?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+}
+
+/**
+ * Schema of a positional argument
+ */
+export interface ParamSchema extends Schema {
+  /** Argument name used by generateContract() */
+  name?: string;
+  /** The argument may be left out */
+  optional?: boolean;
+}
+
+export interface MethodDescriptor {
+  params?: ParamSchema[] | Schema;
+  result?: Schema;
+}
+
+export function validate(schema: Schema, value: unknown, path?: string): ValidationIssue[];
+export function validateParams(params: ParamSchema[] | Schema, args: unknown[]): ValidationIssue[];
@@ -0,0 +1,135 @@
+/**
+ * JSON-Schema-like validation for the parameters and results of exposed methods
+ *
+ * Supported keywords: type ('string', 'number', 'integer', 'boolean', 'object',
+ * 'array', 'null', 'function' or an array of these), enum, const, properties,
+ * required, additionalProperties, items, minItems, maxItems, minLength,
+ * maxLength, pattern, minimum, maximum and anyOf. Unknown keywords are ignored.
+ */
+
+/**
+ * Validate a value against a schema
+ * Returns a list of { path, message } describing every failure, empty when valid
+ */
+export function validate(schema, value, path = '$') {
+  const errors = [];
+  check(schema, value, path, errors);
+  return errors;
+}
+
+/**
+ * Validate call arguments
+ * `params` is either an array with one schema per positional argument (an
+ * argument may be left out when its schema says `optional: true`) or a single
+ * schema for the whole argument list
+ */
+export function validateParams(params, args) {
+  if (!Array.isArray(params)) {
+    return validate(params, args, 'params');
+  }
+
+  const errors = [];
+  params.forEach((schema, index) => {
+    const path = `params[${index}]`;
+    if (args[index] === undefined) {
+      if (!schema.optional) errors.push({ path, message: 'is required' });
+      return;
+    }
+    check(schema, args[index], path, errors);
+  });
+
+  for (let index = params.length; index < args.length; index++) {
+    errors.push({ path: `params[${index}]`, message: 'is not an expected argument' });
+  }
+
+  return errors;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function check(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, path).length === 0)) {
+    errors.push({ path, message: 'does not match any allowed schema' });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        check(properties[key], item, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, item, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Type declarations for streamed results, see streams.js
+ */
+
+/** Values a stream source yields; plain values are a single chunk */
+export type StreamChunk<R> =
+  R extends AsyncIterable<infer T> ? T :
+  R extends ReadableStream<infer T> ? T :
+  R extends Iterator<infer T> ? T :
+  R;
+
+export interface StreamOptions {
+  /** Chunks the producer may send ahead of the reader (default 16) */
+  highWaterMark?: number;
+  signal?: AbortSignal;
+  /** ms before the whole stream fails (default none) */
+  timeout?: number;
+}
+
+export const DEFAULT_HIGH_WATER_MARK: number;
+
+export function isStreamable(value: unknown): boolean;
+export function toIterator<T>(source: AsyncIterable<T> | Iterator<T> | ReadableStream<T> | T): AsyncIterator<T> | Iterator<T>;
+export function chunkString(text: string, size?: number): Generator<string, void, unknown>;
+
+export class StreamWriter {
+  constructor(source: unknown, credit: number, send: (chunk: unknown) => void);
+  addCredit(credit: number): void;
+  run(signal: AbortSignal): Promise<void>;
+}
+
+export class StreamReader<T = unknown> implements AsyncIterableIterator<T> {
+  constructor(highWaterMark?: number, onCancel?: () => void);
+  readonly highWaterMark: number;
+  connect(sendCredit: (credit: number) => void): void;
+  push(chunk: T): void;
+  end(): void;
+  fail(error: unknown): void;
+  next(): Promise<IteratorResult<T, undefined>>;
+  return(): Promise<IteratorResult<T, undefined>>;
+  [Symbol.asyncIterator](): StreamReader<T>;
+}
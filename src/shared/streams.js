@@ -0,0 +1,218 @@
+/**
+ * Streaming results over RPC
+ *
+ * A call made with stream() carries `stream: { credit }` in its request. When
+ * the handler returns an async iterable, an iterator or a ReadableStream, each
+ * value is posted as an { type: 'rpc-chunk', id, chunk } message; any other
+ * result is posted as a single chunk. The producer only sends as many chunks
+ * as the consumer granted credit for, and the consumer grants more with
+ * { type: 'rpc-credit', id, credit } as it reads them. The usual 'rpc-response'
+ * ends the stream (or fails it), and 'rpc-cancel' stops the producer.
+ */
+
+export const DEFAULT_HIGH_WATER_MARK = 16;
+
+/**
+ * Check whether a handler result is a stream source rather than a plain value
+ * Strings and arrays are plain values even though they are iterable
+ */
+export function isStreamable(value) {
+  if (!value || typeof value !== 'object') return false;
+  return typeof value[Symbol.asyncIterator] === 'function'
+    || typeof value.getReader === 'function'
+    || (typeof value[Symbol.iterator] === 'function' && typeof value.next === 'function');
+}
+
+/**
+ * Get an async-compatible iterator over a stream source
+ * ReadableStreams are read through a reader even when they are async
+ * iterable, since cancelling the reader does not wait for a pending read
+ */
+export function toIterator(source) {
+  if (!isStreamable(source)) {
+    return [source][Symbol.iterator]();
+  }
+  if (typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    return {
+      next: () => reader.read(),
+      return: () => reader.cancel()
+    };
+  }
+  if (typeof source[Symbol.asyncIterator] === 'function') {
+    return source[Symbol.asyncIterator]();
+  }
+  return source[Symbol.iterator]();
+}
+
+/**
+ * Split a string into chunks, e.g. to stream a large HTML document:
+ *   api.expose('getHtml', () => chunkString(api.getContent().html))
+ */
+export function* chunkString(text, size = 64 * 1024) {
+  for (let index = 0; index < text.length; index += size) {
+    yield text.slice(index, index + size);
+  }
+}
+
+/**
+ * Producer side: pulls values from the source and sends them while credit lasts
+ */
+export class StreamWriter {
+  constructor(source, credit, send) {
+    this.iterator = toIterator(source);
+    this.credit = credit;
+    this.send = send;
+    this.resume = null;
+  }
+
+  addCredit(credit) {
+    this.credit += credit;
+    this.wake();
+  }
+
+  wake() {
+    if (this.resume) {
+      const resume = this.resume;
+      this.resume = null;
+      resume();
+    }
+  }
+
+  /**
+   * Send every value of the source, resolves when it is exhausted or the
+   * signal aborts (which also stops the source)
+   * An abort does not wait for a source that is slow to produce its next value
+   */
+  async run(signal) {
+    let onAbort;
+    const aborted = new Promise((resolve) => {
+      onAbort = () => {
+        this.wake();
+        resolve({ done: true });
+      };
+    });
+    signal.addEventListener('abort', onAbort);
+
+    try {
+      while (!signal.aborted) {
+        if (this.credit <= 0) {
+          await new Promise(resolve => { this.resume = resolve; });
+          continue;
+        }
+
+        const { value, done } = await Promise.race([this.iterator.next(), aborted]);
+        if (done || signal.aborted) break;
+
+        this.credit--;
+        this.send(value);
+      }
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+      if (signal.aborted && typeof this.iterator.return === 'function') {
+        Promise.resolve(this.iterator.return()).catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Consumer side: an async iterator over the chunks of a streamed call
+ * Buffers up to `highWaterMark` chunks and grants the producer more credit
+ * as they are read. Breaking out of `for await` calls `onCancel`
+ */
+export class StreamReader {
+  constructor(highWaterMark = DEFAULT_HIGH_WATER_MARK, onCancel = () => {}) {
+    this.highWaterMark = highWaterMark;
+    this.onCancel = onCancel;
+    this.sendCredit = () => {};
+    this.buffer = [];
+    this.waiting = null;
+    this.closed = false;
+    this.error = null;
+    this.consumed = 0;
+  }
+
+  /**
+   * Set how credit is granted, once the request id is known
+   */
+  connect(sendCredit) {
+    this.sendCredit = sendCredit;
+  }
+
+  push(chunk) {
+    if (this.closed) return;
+
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      this.grant();
+      resolve({ value: chunk, done: false });
+    } else {
+      this.buffer.push(chunk);
+    }
+  }
+
+  end() {
+    if (this.closed) return;
+    this.closed = true;
+    this.settleWaiting();
+  }
+
+  fail(error) {
+    if (this.closed) return;
+    this.closed = true;
+    this.error = error;
+    this.settleWaiting();
+  }
+
+  next() {
+    if (this.buffer.length > 0) {
+      const value = this.buffer.shift();
+      this.grant();
+      return Promise.resolve({ value, done: false });
+    }
+    if (this.error) {
+      const error = this.error;
+      this.error = null;
+      return Promise.reject(error);
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  return() {
+    if (!this.closed) {
+      this.closed = true;
+      this.buffer = [];
+      this.onCancel();
+    }
+    this.error = null;
+    this.settleWaiting();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  settleWaiting() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    this.waiting = null;
+    this.next().then(resolve, reject);
+  }
+
+  grant() {
+    if (this.closed) return;
+    this.consumed++;
+    if (this.consumed >= Math.ceil(this.highWaterMark / 2)) {
+      this.sendCredit(this.consumed);
+      this.consumed = 0;
+    }
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Type declarations for the structured data fields, see structuredData.js
+ */
+
+import { Extractor } from './extract.js';
+
+export interface StructuredItem {
+  type: string | null;
+  id: string | null;
+  properties: Record<string, string | StructuredItem | Array<string | StructuredItem>>;
+}
+
+export interface SocialMedia {
+  url?: string;
+  secureUrl?: string;
+  type?: string;
+  width?: string;
+  height?: string;
+  alt?: string;
+  [detail: string]: string | undefined;
+}
+
+export interface OpenGraphData {
+  title?: string;
+  type?: string;
+  url?: string;
+  description?: string;
+  siteName?: string;
+  locale?: string | string[];
+  images?: SocialMedia[];
+  videos?: SocialMedia[];
+  audios?: SocialMedia[];
+  [key: string]: string | string[] | SocialMedia[] | undefined;
+}
+
+export interface HeadingEntry {
+  level: number;
+  text: string;
+  id: string | null;
+  children: HeadingEntry[];
+}
+
+export interface ExtractedTable {
+  caption: string | null;
+  headers: string[];
+  rows: Array<Record<string, string>>;
+}
+
+export interface StructuredContent {
+  jsonLd: Array<Record<string, unknown>>;
+  microdata: StructuredItem[];
+  rdfa: StructuredItem[];
+  openGraph: OpenGraphData;
+  twitter: Record<string, string | string[]>;
+  headings: HeadingEntry[];
+  tables: ExtractedTable[];
+}
+
+export const STRUCTURED_FIELDS: Array<keyof StructuredContent>;
+export const STRUCTURED_EXTRACTORS: Record<keyof StructuredContent, Extractor>;
+export function readTable(table: HTMLTableElement, truncate?: (text: string) => string): ExtractedTable;
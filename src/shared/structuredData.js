@@ -0,0 +1,218 @@
+/**
+ * Structured data fields for extractContent(), extracted only when asked
+ * for with the `fields` option:
+ * - jsonLd: parsed <script type="application/ld+json"> blocks, arrays and
+ *   @graph lists flattened into one list of objects
+ * - microdata / rdfa: top-level items as { type, id, properties }, nested
+ *   items as property values
+ * - openGraph / twitter: og:* and twitter:* meta tags as one object with
+ *   camelCased keys, e.g. { title, siteName, images: [{ url, width, alt }] }
+ * - headings: h1-h6 outline as [{ level, text, id, children }]
+ * - tables: [{ caption, headers, rows }] where rows are objects keyed by the
+ *   header texts (column numbers when there are none)
+ */
+
+export const STRUCTURED_FIELDS = ['jsonLd', 'microdata', 'rdfa', 'openGraph', 'twitter', 'headings', 'tables'];
+
+export const STRUCTURED_EXTRACTORS = {
+  // Scripts are never rendered, so they are read regardless of includeHidden
+  jsonLd: ({ root, limit }) => {
+    const items = [];
+    for (const script of root.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        items.push(...flattenJsonLd(JSON.parse(script.textContent)));
+      } catch (e) {
+        // Broken blocks are common in the wild, skip them
+      }
+    }
+    return limit(items, 'jsonLd');
+  },
+
+  microdata: ({ select, truncate }) => select('[itemscope]:not([itemprop])', 'microdata')
+    .map(item => readItem(item, MICRODATA, truncate)),
+
+  rdfa: ({ select, truncate }) => select('[typeof]', 'rdfa')
+    .filter(item => !item.parentElement || !item.parentElement.closest('[typeof]'))
+    .map(item => readItem(item, RDFA, truncate)),
+
+  openGraph: ({ document, truncate }) => readSocialTags(document, 'og', ['image', 'video', 'audio'], truncate),
+
+  twitter: ({ document, truncate }) => readSocialTags(document, 'twitter', [], truncate),
+
+  headings: ({ select, truncate }) => {
+    const outline = [];
+    const open = [];
+
+    for (const heading of select('h1, h2, h3, h4, h5, h6', 'headings')) {
+      const entry = {
+        level: Number(heading.tagName[1]),
+        text: truncate(heading.textContent.trim()),
+        id: heading.id || null,
+        children: []
+      };
+      while (open.length > 0 && open[open.length - 1].level >= entry.level) {
+        open.pop();
+      }
+      (open.length > 0 ? open[open.length - 1].children : outline).push(entry);
+      open.push(entry);
+    }
+    return outline;
+  },
+
+  tables: ({ select, truncate }) => select('table', 'tables').map(table => readTable(table, truncate))
+};
+
+function flattenJsonLd(value) {
+  if (Array.isArray(value)) return value.flatMap(flattenJsonLd);
+  if (value && typeof value === 'object' && Array.isArray(value['@graph'])) {
+    return value['@graph'].flatMap(flattenJsonLd);
+  }
+  return value && typeof value === 'object' ? [value] : [];
+}
+
+// Attribute names of the two inline item syntaxes
+const MICRODATA = { scope: 'itemscope', property: 'itemprop', type: 'itemtype', id: 'itemid' };
+const RDFA = { scope: 'typeof', property: 'property', type: 'typeof', id: 'resource' };
+
+/**
+ * Read an item and its properties; an element with both a property and a
+ * scope is a nested item
+ */
+function readItem(item, syntax, truncate) {
+  const properties = {};
+
+  for (const element of item.querySelectorAll(`[${syntax.property}]`)) {
+    // Properties of nested items belong to those items
+    if (element.parentElement.closest(`[${syntax.scope}]`) !== item) continue;
+
+    const value = element.hasAttribute(syntax.scope)
+      ? readItem(element, syntax, truncate)
+      : readPropertyValue(element, truncate);
+
+    for (const name of element.getAttribute(syntax.property).trim().split(/\s+/)) {
+      if (!(name in properties)) {
+        properties[name] = value;
+      } else if (Array.isArray(properties[name])) {
+        properties[name].push(value);
+      } else {
+        properties[name] = [properties[name], value];
+      }
+    }
+  }
+
+  return {
+    type: item.getAttribute(syntax.type) || null,
+    id: item.getAttribute(syntax.id) || null,
+    properties
+  };
+}
+
+function readPropertyValue(element, truncate) {
+  const tag = element.tagName.toLowerCase();
+
+  if (element.hasAttribute('content')) return truncate(element.getAttribute('content'));
+  if (['a', 'area', 'link'].includes(tag)) return element.href;
+  if (['img', 'audio', 'video', 'source', 'track', 'iframe', 'embed'].includes(tag)) return element.src;
+  if (tag === 'object') return element.data;
+  if (['data', 'meter'].includes(tag)) return element.getAttribute('value');
+  if (tag === 'time' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+  if (element.hasAttribute('resource')) return element.getAttribute('resource');
+  return truncate(element.textContent.trim());
+}
+
+/**
+ * Collect `prefix:*` meta tags (by property or name) into one object
+ * Listed media keys become lists of objects, so og:image followed by
+ * og:image:width describes one image: { images: [{ url, width }] }
+ */
+function readSocialTags(document, prefix, mediaKeys, truncate) {
+  const data = {};
+  const selector = `meta[property^="${prefix}:"], meta[name^="${prefix}:"]`;
+
+  for (const meta of document.querySelectorAll(selector)) {
+    const key = (meta.getAttribute('property') || meta.getAttribute('name')).slice(prefix.length + 1);
+    const [base, ...rest] = key.split(':');
+    const value = truncate(meta.getAttribute('content') || '');
+
+    if (mediaKeys.includes(base)) {
+      const list = data[`${base}s`] || (data[`${base}s`] = []);
+      const detail = rest.length > 0 ? toCamelCase(rest.join('_')) : 'url';
+      // A detail the current object already has starts the next one
+      if (list.length === 0 || detail in list[list.length - 1]) {
+        list.push({});
+      }
+      list[list.length - 1][detail] = value;
+    } else {
+      const name = toCamelCase(key.replace(/:/g, '_'));
+      if (!(name in data)) {
+        data[name] = value;
+      } else {
+        data[name] = [].concat(data[name], value);
+      }
+    }
+  }
+
+  return data;
+}
+
+function toCamelCase(key) {
+  return key.replace(/[_-]+([a-z0-9])/gi, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Lay the cells out on a grid (honoring colspan and rowspan) and key each
+ * body row by the header texts
+ */
+export function readTable(table, truncate = text => text) {
+  const grid = [];
+
+  Array.from(table.rows).forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+
+    for (const cell of row.cells) {
+      while (grid[rowIndex][column] !== undefined) column++;
+      const text = truncate(cell.textContent.trim());
+      const isHeader = cell.tagName === 'TH';
+
+      for (let r = 0; r < Math.max(cell.rowSpan, 1); r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < Math.max(cell.colSpan, 1); c++) {
+          grid[rowIndex + r][column + c] = { text, isHeader };
+        }
+      }
+      column += Math.max(cell.colSpan, 1);
+    }
+  });
+
+  // Leading rows made of header cells only (usually the thead) name the columns
+  let headerRows = 0;
+  while (headerRows < grid.length && grid[headerRows].length > 0 && grid[headerRows].every(cell => cell && cell.isHeader)) {
+    headerRows++;
+  }
+
+  const width = Math.max(0, ...grid.map(row => row.length));
+  const headers = [];
+  for (let column = 0; column < width; column++) {
+    const texts = grid.slice(0, headerRows)
+      .map(row => (row[column] ? row[column].text : ''))
+      .filter((text, index, all) => text && all.indexOf(text) === index);
+    const header = texts.join(' ') || String(column + 1);
+    // Repeated header texts would overwrite each other's cells
+    headers.push(headers.includes(header) ? `${header} (${column + 1})` : header);
+  }
+
+  const rows = grid.slice(headerRows).map((row) => {
+    const entry = {};
+    headers.forEach((header, column) => {
+      entry[header] = row[column] ? row[column].text : '';
+    });
+    return entry;
+  });
+
+  return {
+    caption: table.caption ? truncate(table.caption.textContent.trim()) : null,
+    headers,
+    rows
+  };
+}
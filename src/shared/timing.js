@@ -0,0 +1,48 @@
+/**
+ * Timing helpers for per-call options: retry backoff and abortable waits
+ */
+
+/**
+ * Error used when a call is cancelled through its AbortSignal
+ */
+export function createAbortError(signal) {
+  if (signal && signal.reason !== undefined) {
+    return signal.reason;
+  }
+  return new DOMException('The operation was aborted', 'AbortError');
+}
+
+/**
+ * Delay before retry number `attempt` (0-based)
+ * A number is a base delay doubled on every attempt, a function receives the attempt
+ */
+export function getBackoffDelay(backoff, attempt) {
+  if (typeof backoff === 'function') {
+    return backoff(attempt);
+  }
+  return (backoff || 0) * 2 ** attempt;
+}
+
+/**
+ * Resolve after `ms`, or reject early when the signal aborts
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError(signal));
+    };
+
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,10 @@
+/**
+ * Type declarations for transferable values, see transfer.js
+ */
+
+/** Mark a value so the listed objects are moved instead of copied when it is sent */
+export function transfer<T extends object>(value: T, transferables: Transferable[]): T;
+
+export function copyTransferMark(value: object, copy: object): void;
+
+export function getTransferables(message: unknown): Transferable[];
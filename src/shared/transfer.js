@@ -0,0 +1,69 @@
+/**
+ * Transferable objects for RPC arguments, results, stream chunks and events
+ *
+ * postMessage copies everything it sends unless told which objects to
+ * transfer. Marking a value with transfer(value, [buffer]) makes RPC and
+ * EmbedApi pass the listed objects (ArrayBuffers, MessagePorts, ImageBitmaps...)
+ * in the transfer list whenever the value is sent, at any depth:
+ *
+ *   await rpc.call('upload', transfer(bytes, [bytes.buffer]));
+ *   api.expose('snapshot', () => transfer({ image }, [image]));
+ *
+ * Transferred objects are moved to the other frame and become unusable here.
+ */
+
+const marks = new WeakMap();
+
+/**
+ * Mark a value so the given transferables are moved instead of copied when
+ * it is sent. Returns the value itself
+ */
+export function transfer(value, transferables) {
+  if (value === null || typeof value !== 'object') {
+    throw new TypeError('transfer() can only mark objects');
+  }
+  if (!Array.isArray(transferables)) {
+    throw new TypeError('transfer() expects an array of transferable objects');
+  }
+
+  marks.set(value, transferables);
+  return value;
+}
+
+/**
+ * Mark `copy` with the transferables of `value`, for code that rebuilds
+ * values before they are sent
+ */
+export function copyTransferMark(value, copy) {
+  if (marks.has(value)) {
+    marks.set(copy, marks.get(value));
+  }
+}
+
+/**
+ * Collect the transferables of every marked value in a message
+ */
+export function getTransferables(message) {
+  const found = new Set();
+  collect(message, found, new Set());
+  return [...found];
+}
+
+function collect(value, found, seen) {
+  if (value === null || typeof value !== 'object' || seen.has(value)) return;
+  seen.add(value);
+
+  if (marks.has(value)) {
+    marks.get(value).forEach(item => found.add(item));
+  }
+
+  // Only arrays and plain objects can hold marked values we need to find
+  if (Array.isArray(value) || isPlainObject(value)) {
+    Object.values(value).forEach(item => collect(item, found, seen));
+  }
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
@@ -0,0 +1,44 @@
+/**
+ * Type declarations for live content watching, see watch.js
+ */
+
+import { ExtractedContent, ExtractedForm, ExtractionResult, ExtractOptions } from './extract.js';
+
+export interface WatchOptions extends ExtractOptions {
+  /** ms of quiet before the content is compared again (default 100) */
+  debounce?: number;
+}
+
+export interface ListChange<T = unknown> {
+  added: T[];
+  removed: T[];
+}
+
+export interface FormChange extends ListChange<ExtractedForm> {
+  /** from/to are the checked state of checkboxes and radios, the value otherwise */
+  changed: Array<{ form: number; name: string; from: string | string[] | boolean; to: string | string[] | boolean }>;
+}
+
+export interface ValueChange<T = unknown> {
+  from: T;
+  to: T;
+}
+
+/** What changed, per watched field */
+export type ContentChanges = {
+  forms?: FormChange;
+  links?: ListChange<ExtractedContent['links'][number]>;
+  images?: ListChange<ExtractedContent['images'][number]>;
+  meta?: ListChange<ExtractedContent['meta'][number]>;
+  title?: ValueChange<string>;
+  url?: ValueChange<string>;
+  html?: ValueChange<string>;
+  text?: ValueChange<string>;
+} & Record<string, ListChange | FormChange | ValueChange | undefined>;
+
+export type WatchCallback = (changes: ContentChanges, content: ExtractionResult) => void;
+
+export const DEFAULT_WATCH_FIELDS: string[];
+
+export function observeContent(document: Document, options: WatchOptions | undefined, onChange: WatchCallback): () => void;
+export function diffContent(previous: Record<string, unknown>, current: Record<string, unknown>): ContentChanges | null;
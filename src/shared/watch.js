@@ -0,0 +1,153 @@
+/**
+ * Live content watching shared by FrameManager.watch() for same-origin frames
+ * and EmbedApi.watch() (the child's built-in 'watch' method)
+ *
+ * The document is observed with a MutationObserver plus input/change
+ * listeners (form values change without mutating the DOM). After `debounce`
+ * ms of quiet the watched fields are extracted again with extractContent()
+ * and compared with the previous extraction. Changes are reported per field:
+ * - list fields (links, images, meta...): { added, removed }
+ * - forms: { added, removed, changed: [{ form, name, from, to }] }, where
+ *   from/to are the checked state of checkboxes and radios
+ * - any other field: { from, to }
+ */
+
+import { extractContent } from './extract.js';
+
+export const DEFAULT_WATCH_FIELDS = ['title', 'text', 'links', 'images', 'forms'];
+
+/**
+ * Call `onChange(changes, content)` whenever the watched fields of the
+ * document change. Options are the extraction options of extractContent()
+ * plus `debounce` (default 100 ms). Returns a function that stops watching
+ */
+export function observeContent(document, options, onChange) {
+  const { debounce = 100, ...extractOptions } = options || {};
+  const read = () => extractContent(document, { fields: DEFAULT_WATCH_FIELDS, ...extractOptions });
+
+  // Reading once up front reports bad fields or selectors to the caller
+  let last = read();
+  let timeoutId = null;
+
+  const check = () => {
+    timeoutId = null;
+    let content;
+    try {
+      content = read();
+    } catch (error) {
+      // The scoped element is gone for now, wait for it to come back
+      return;
+    }
+
+    const changes = diffContent(last, content);
+    last = content;
+    if (changes) onChange(changes, content);
+  };
+
+  const schedule = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(check, debounce);
+  };
+
+  const observer = new MutationObserver(schedule);
+  observer.observe(document.documentElement, { attributes: true, childList: true, characterData: true, subtree: true });
+  document.addEventListener('input', schedule, true);
+  document.addEventListener('change', schedule, true);
+
+  return () => {
+    clearTimeout(timeoutId);
+    observer.disconnect();
+    document.removeEventListener('input', schedule, true);
+    document.removeEventListener('change', schedule, true);
+  };
+}
+
+/**
+ * Compare two extractions field by field, returns null when nothing changed
+ */
+export function diffContent(previous, current) {
+  const changes = {};
+
+  for (const field of Object.keys(current)) {
+    let change;
+    if (field === 'forms') {
+      change = diffForms(previous[field] || [], current[field]);
+    } else if (Array.isArray(current[field])) {
+      change = diffList(previous[field] || [], current[field]);
+    } else if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+      change = { from: previous[field], to: current[field] };
+    }
+    if (change) changes[field] = change;
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Items only in the current list are added, items only in the previous one removed
+ */
+function diffList(previous, current) {
+  const remaining = new Map();
+  previous.forEach((item) => {
+    const key = JSON.stringify(item);
+    remaining.set(key, [...(remaining.get(key) || []), item]);
+  });
+
+  const added = [];
+  current.forEach((item) => {
+    const matches = remaining.get(JSON.stringify(item));
+    if (matches && matches.length > 0) {
+      matches.pop();
+    } else {
+      added.push(item);
+    }
+  });
+  const removed = [...remaining.values()].flat();
+
+  return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+}
+
+/**
+ * Forms are matched by position; a form whose fields changed names or types
+ * counts as removed and added, otherwise its value changes are listed
+ */
+function diffForms(previous, current) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (let index = 0; index < Math.max(previous.length, current.length); index++) {
+    const before = previous[index];
+    const after = current[index];
+
+    if (!before) {
+      added.push(after);
+    } else if (!after) {
+      removed.push(before);
+    } else if (getFormShape(before) !== getFormShape(after)) {
+      removed.push(before);
+      added.push(after);
+    } else {
+      after.fields.forEach((field, position) => {
+        const from = getFieldState(before.fields[position]);
+        const to = getFieldState(field);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          changed.push({ form: index, name: field.name, from, to });
+        }
+      });
+    }
+  }
+
+  return added.length > 0 || removed.length > 0 || changed.length > 0 ? { added, removed, changed } : null;
+}
+
+/**
+ * What a user changes: checked for checkboxes and radios, the value otherwise
+ */
+function getFieldState(field) {
+  return typeof field.checked === 'boolean' ? field.checked : field.value;
+}
+
+function getFormShape(form) {
+  return JSON.stringify([form.action, form.method, form.fields.map(field => [field.name, field.type])]);
+}
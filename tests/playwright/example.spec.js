@@ -275,6 +275,1795 @@ test.describe('iframe-integration-suite', () => {
     expect(results.extractedText).toBe('Same Origin');
   });
 
+  test('Origin allowlist matching', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { createOriginMatcher } = await import('/src/shared/origin.js');
+      const isAllowed = createOriginMatcher([
+        'https://app.example.com',
+        'https://*.partner.com',
+        origin => origin.endsWith('.internal')
+      ]);
+
+      return {
+        exact: isAllowed('https://app.example.com'),
+        subdomain: isAllowed('https://shop.partner.com'),
+        apex: isAllowed('https://partner.com'),
+        lookalike: isAllowed('https://evilpartner.com'),
+        predicate: isAllowed('https://tools.internal'),
+        unknown: isAllowed('https://evil.com')
+      };
+    });
+
+    expect(results).toEqual({
+      exact: true,
+      subdomain: true,
+      apex: false,
+      lookalike: false,
+      predicate: true,
+      unknown: false
+    });
+  });
+
+  test('Origins are pinned when the handshake completes and earlier messages wait for it', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { RPC } = await import('/src/parent/rpc.js');
+      const seen = [];
+      const rejected = [];
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import '${location.origin}/src/child/embedApi.js';
+          // Called before any parent is connected
+          window.embedApi.call('greet', 'child').then(value => { window.greeting = value; });
+          window.addEventListener('message', (event) => {
+            if (event.data !== 'send-stray') return;
+            window.parent.postMessage({ type: 'child-event', event: 'early', channel: 'iframe-integration-suite', instance: 'stray' }, '*');
+          });
+        <\/script>`;
+      window.addEventListener('message', (event) => {
+        if (event.source === frame.contentWindow && event.data && event.data.type) seen.push(event.data.type);
+      });
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = new RPC(frame.contentWindow, { onRejectedMessage: ({ reason }) => rejected.push(reason) });
+      rpc.expose('greet', name => `hello ${name}`);
+      frame.contentWindow.postMessage('send-stray', '*');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const before = { origin: rpc.peerOrigin, seen: [...seen], rejected: [...rejected] };
+
+      await rpc.handshake({ timeout: 2000 });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return { before, origin: rpc.peerOrigin, greeting: frame.contentWindow.greeting };
+    });
+
+    // The early call stayed in the child until the handshake pinned our origin
+    expect(results.before.origin).toBe(null);
+    expect(results.before.seen).toEqual(['child-ready', 'child-event']);
+    expect(results.before.rejected).toEqual(['not-connected']);
+    expect(results.origin).toBe('http://localhost:3000');
+    expect(results.greeting).toBe('hello child');
+  });
+
+  test('An explicitly constructed EmbedApi replaces the one created on import', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const createChild = async (allowedOrigin) => {
+        const frame = document.createElement('iframe');
+        frame.srcdoc = `
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            const api = new EmbedApi({ allowedOrigins: '${allowedOrigin}' });
+            api.expose('whoami', () => 'explicit');
+            window.isEmbedApi = window.embedApi === api;
+          <\/script>`;
+        document.body.appendChild(frame);
+        await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+        return frame;
+      };
+
+      const allowed = await createChild(location.origin);
+      const rpc = await manager.setupRPC(allowed, 2000);
+      const connected = {
+        whoami: await rpc.call('whoami'),
+        announced: rpc.peer.methods.includes('whoami'),
+        isEmbedApi: allowed.contentWindow.isEmbedApi
+      };
+
+      // The import-time instance accepts any origin, so it must not answer in place of this one
+      const restricted = await createChild('https://other.example');
+      try {
+        await manager.setupRPC(restricted, 500);
+        return { connected, restricted: 'connected' };
+      } catch (error) {
+        return { connected, restricted: error.message };
+      }
+    });
+
+    expect(results.connected).toEqual({ whoami: 'explicit', announced: true, isEmbedApi: true });
+    expect(results.restricted).toContain('handshake timed out');
+  });
+
+  test('setupRPC rejects when the child never completes the handshake', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = '<h1>Not cooperative</h1>';
+      frame.sandbox = 'allow-scripts';
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve));
+
+      try {
+        await manager.setupRPC(frame, 500);
+        return { rejected: false };
+      } catch (error) {
+        return { rejected: true, message: error.message, cached: manager.getRPC(frame) !== undefined };
+      }
+    });
+
+    expect(results.rejected).toBe(true);
+    expect(results.message).toContain('handshake timed out');
+    expect(results.cached).toBe(false);
+  });
+
+  test('FrameManager reconnects after the child reloads', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+      const events = [];
+      manager.on('disconnected', () => events.push('disconnected'));
+      const reconnected = new Promise(resolve => manager.on('reconnected', () => {
+        events.push('reconnected');
+        resolve();
+      }));
+
+      const childHtml = (label) => `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('whoami', () => '${label}');
+        <\/script>`;
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = childHtml('first');
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const before = await rpc.call('whoami');
+
+      frame.srcdoc = childHtml('second');
+      await reconnected;
+      const after = await rpc.call('whoami');
+
+      return { before, after, events, sameRpc: manager.getRPC(frame) === rpc };
+    });
+
+    expect(results.before).toBe('first');
+    expect(results.after).toBe('second');
+    expect(results.events).toEqual(['disconnected', 'reconnected']);
+    expect(results.sameRpc).toBe(true);
+  });
+
+  test('onNewSession receives the peer info of the reloaded child', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { RPC } = await import('/src/parent/rpc.js');
+      const childHtml = (method) => `
+        <script type="module">
+          import '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('${method}', () => true);
+        <\/script>`;
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = childHtml('first');
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      let announced;
+      const newSession = new Promise(resolve => { announced = resolve; });
+      const rpc = new RPC(frame.contentWindow, { onNewSession: announced });
+      const peer = await rpc.handshake({ timeout: 2000 });
+
+      frame.srcdoc = childHtml('second');
+      const next = await newSession;
+
+      return { peer, next };
+    });
+
+    expect(Object.keys(results.next).sort()).toEqual(['capabilities', 'methods', 'session', 'url', 'version']);
+    expect(results.next.methods).toContain('second');
+    expect(results.next.methods).not.toContain('first');
+    expect(results.next.version).toBe(results.peer.version);
+    expect(results.next.session).not.toBe(results.peer.session);
+  });
+
+  test('Calls made while the child is away are sent once after the new handshake', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager({ pendingCallPolicy: 'replay' });
+      window.received = [];
+
+      const childHtml = (label) => `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('record', (value) => {
+            if ('${label}' === 'first') return new Promise(() => {});
+            window.parent.received.push(value);
+            return '${label}:' + value;
+          });
+        <\/script>`;
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = childHtml('first');
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const inflight = rpc.call('record', 'inflight');
+      let during;
+      let whileAway;
+      const disconnected = new Promise(resolve => manager.on('disconnected', () => {
+        during = rpc.call('record', 'during');
+        whileAway = { connected: rpc.connected, origin: rpc.peerOrigin, queued: rpc.outbox.length };
+        resolve();
+      }));
+
+      frame.srcdoc = childHtml('second');
+      await disconnected;
+      const answers = await Promise.all([inflight, during]);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return { whileAway, answers, received: window.received };
+    });
+
+    // Nothing is posted to the frame until the new child's origin is pinned
+    expect(results.whileAway).toEqual({ connected: false, origin: null, queued: 1 });
+    expect(results.answers).toEqual(['second:inflight', 'second:during']);
+    expect(results.received.sort()).toEqual(['during', 'inflight']);
+  });
+
+  test('Aborting a call cancels the remote handler', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('longTask', function () {
+            return new Promise((resolve, reject) => {
+              this.signal.addEventListener('abort', () => {
+                window.cancelled = true;
+                reject(new Error('cancelled'));
+              });
+            });
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const controller = new AbortController();
+      const call = rpc.callWithOptions('longTask', [], { signal: controller.signal });
+      setTimeout(() => controller.abort(), 50);
+
+      let errorName = null;
+      try {
+        await call;
+      } catch (error) {
+        errorName = error.name;
+      }
+
+      let timeoutCode = null;
+      try {
+        await rpc.callWithOptions('longTask', [], { timeout: 50 });
+      } catch (error) {
+        timeoutCode = error.code;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return { errorName, timeoutCode, cancelled: frame.contentWindow.cancelled === true };
+    });
+
+    expect(results.errorName).toBe('AbortError');
+    expect(results.timeoutCode).toBe('RPC_TIMEOUT');
+    expect(results.cancelled).toBe(true);
+  });
+
+  test('Remote errors keep their name, code and data', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const { RemoteError, MethodNotFoundError } = await import('/src/parent/rpc.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('save', () => {
+            const error = new TypeError('Email is invalid');
+            error.code = 'E_VALIDATION';
+            error.data = { field: 'email' };
+            throw error;
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const remote = await rpc.call('save').catch(error => error);
+      const missing = await rpc.call('doesNotExist').catch(error => error);
+
+      return {
+        isRemoteError: remote instanceof RemoteError,
+        remoteName: remote.remoteName,
+        code: remote.code,
+        data: remote.data,
+        isMethodNotFound: missing instanceof MethodNotFoundError,
+        missingCode: missing.code
+      };
+    });
+
+    expect(results).toEqual({
+      isRemoteError: true,
+      remoteName: 'TypeError',
+      code: 'E_VALIDATION',
+      data: { field: 'email' },
+      isMethodNotFound: true,
+      missingCode: 'METHOD_NOT_FOUND'
+    });
+  });
+
+  test('Events flow in both directions with wildcard subscriptions', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.on('theme', (data) => {
+            window.embedApi.sendEvent('form:ack', data);
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const received = new Promise(resolve => {
+        rpc.on('form:*', (data, eventName) => resolve({ data, eventName }));
+      });
+      rpc.sendEvent('theme', 'dark');
+
+      return received;
+    });
+
+    expect(results).toEqual({ data: 'dark', eventName: 'form:ack' });
+  });
+
+  test('Events without a string name are dropped', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+      const errors = [];
+      window.addEventListener('error', event => errors.push(event.message));
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          window.embedApi.on('go', () => {
+            window.embedApi.post({ type: 'child-event', event: 42, data: 'bad' });
+            window.embedApi.sendEvent('form:ready', 'ok');
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const received = [];
+      rpc.on('*', (data, eventName) => received.push([eventName, data]));
+      const ready = new Promise(resolve => rpc.on('form:*', resolve));
+      rpc.sendEvent('go');
+      await ready;
+
+      return { received, errors };
+    });
+
+    expect(results.received).toEqual([['form:ready', 'ok']]);
+    expect(results.errors).toEqual([]);
+  });
+
+  test('Remote proxy calls namespaced methods and rejects typos', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('forms.fill', (values) => ({ filled: Object.keys(values) }));
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      // Same-origin frames get the extraction interface, so build the remote from RPC directly
+      const { createRemote } = await import('/src/parent/remote.js');
+      const remote = createRemote(await manager.setupRPC(frame, 2000));
+
+      const filled = await remote.forms.fill({ email: 'a@b.c' });
+      const typo = await remote.forms.fil({}).catch(error => error.name);
+
+      return { filled, typo };
+    });
+
+    expect(results.filled).toEqual({ filled: ['email'] });
+    expect(results.typo).toBe('MethodNotFoundError');
+  });
+
+  test('Functions passed as arguments can be called back and released', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          let listener = null;
+          window.embedApi.expose('watchCounter', (onChange) => {
+            listener = onChange;
+            return onChange(1);
+          });
+          window.embedApi.expose('stopWatching', () => listener.release());
+          window.embedApi.expose('bump', (value) => listener(value));
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const values = [];
+      const firstReply = await rpc.call('watchCounter', (value) => {
+        values.push(value);
+        return value * 10;
+      });
+      await rpc.call('bump', 2);
+      await rpc.call('stopWatching');
+      const afterRelease = await rpc.call('bump', 3).catch(error => error.code);
+
+      return { firstReply, values, afterRelease, registered: rpc.callbacks.size };
+    });
+
+    expect(results.firstReply).toBe(10);
+    expect(results.values).toEqual([1, 2]);
+    expect(results.afterRelease).toBe('CALLBACK_RELEASED');
+    expect(results.registered).toBe(0);
+  });
+
+  test('Each connection talks over its own MessageChannel', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+
+      const createChild = async (name) => {
+        const frame = document.createElement('iframe');
+        frame.srcdoc = `
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            window.embedApi.expose('whoami', () => '${name}');
+          <\/script>`;
+        document.body.appendChild(frame);
+        await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+        return frame;
+      };
+
+      const first = await createChild('first');
+      const second = await createChild('second');
+      const third = await createChild('third');
+
+      const rpcA = await new FrameManager().setupRPC(first, 2000);
+      const rpcB = await new FrameManager().setupRPC(second, 2000);
+      const rpcC = await new FrameManager({ useMessageChannel: false }).setupRPC(third, 2000);
+
+      // Both instances use message id 1 for their first call
+      const [a, b] = await Promise.all([rpcA.call('whoami'), rpcB.call('whoami')]);
+
+      return {
+        a,
+        b,
+        c: await rpcC.call('whoami'),
+        ports: [!!rpcA.port, !!rpcB.port, !!rpcC.port]
+      };
+    });
+
+    expect(results.a).toBe('first');
+    expect(results.b).toBe('second');
+    expect(results.c).toBe('third');
+    expect(results.ports).toEqual([true, true, false]);
+  });
+
+  test('Messages from other channels are ignored', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          const api = new EmbedApi({ channel: 'widgets' });
+          api.expose('slow', () => new Promise(resolve => setTimeout(() => resolve('real'), 100)));
+          // Another library on the page using the same message type
+          window.parent.postMessage({ type: 'child-ready', version: 1, methods: [], session: 'x' }, '*');
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const wrongChannel = await new FrameManager({ channel: 'payments' })
+        .setupRPC(frame, 500)
+        .then(() => 'connected', error => error.code);
+
+      const rpc = await new FrameManager({ channel: 'widgets', useMessageChannel: false }).setupRPC(frame, 2000);
+      const call = rpc.call('slow');
+      // A foreign message posing as the response must not settle the call
+      frame.contentWindow.postMessage({ type: 'rpc-response', id: 1, result: 'spoofed' }, '*');
+      window.postMessage({ type: 'rpc-response', id: `${rpc.instanceId}:1`, result: 'spoofed' }, '*');
+
+      return { wrongChannel, result: await call };
+    });
+
+    expect(results.wrongChannel).toBe('RPC_TIMEOUT');
+    expect(results.result).toBe('real');
+  });
+
+  test('Auto-resize keeps the iframe height in sync with the child content', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager({ resize: { mode: 'height', minHeight: 50, maxHeight: 600 } });
+      const events = [];
+      manager.on('resize', ({ height }) => events.push(height));
+
+      const frame = document.createElement('iframe');
+      frame.style.width = '300px';
+      frame.srcdoc = `
+        <style>body { margin: 0; }</style>
+        <div id="box" style="height: 200px"></div>
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.autoResize({ debounce: 20 });
+          window.embedApi.expose('setHeight', (height) => {
+            document.getElementById('box').style.height = height + 'px';
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const waitForResize = () => new Promise(resolve => manager.once('resize', resolve));
+
+      const initial = await waitForResize();
+      await rpc.call('setHeight', 400);
+      const grown = await waitForResize();
+      await rpc.call('setHeight', 5000);
+      const capped = await waitForResize();
+
+      return { initial: initial.height, grown: grown.height, capped: capped.height, style: frame.style.cssText, events };
+    });
+
+    expect(results.initial).toBe(200);
+    expect(results.grown).toBe(400);
+    expect(results.capped).toBe(600);
+    expect(results.style).toContain('width: 300px');
+    expect(results.events).toEqual([200, 400, 600]);
+  });
+
+  test('Auto-resize reports the width of shrink-wrapped content only when asked', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const createChild = async (options) => {
+        const frame = document.createElement('iframe');
+        frame.style.width = '400px';
+        frame.srcdoc = `
+          <style>body { margin: 0; } #widget { display: inline-block; vertical-align: top; }</style>
+          <div id="widget"><div id="box" style="width: 250px; height: 100px"></div></div>
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            window.embedApi.autoResize({ debounce: 20, ...${JSON.stringify(options)}, element: document.getElementById('widget') });
+            window.embedApi.expose('setWidth', (width) => {
+              document.getElementById('box').style.width = width + 'px';
+            });
+          <\/script>`;
+        document.body.appendChild(frame);
+        await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+        const resized = new Promise(resolve => manager.once('resize', resolve));
+        const rpc = await manager.setupRPC(frame, 2000);
+        await resized;
+        return { frame, rpc };
+      };
+
+      const heightOnly = await createChild({});
+      const withWidth = await createChild({ width: true });
+      const initial = withWidth.frame.style.width;
+
+      const resized = new Promise(resolve => manager.once('resize', resolve));
+      await withWidth.rpc.call('setWidth', 150);
+      await resized;
+
+      return {
+        heightOnly: { width: heightOnly.frame.style.width, height: heightOnly.frame.style.height },
+        initial,
+        shrunk: withWidth.frame.style.width
+      };
+    });
+
+    expect(results.heightOnly).toEqual({ width: '400px', height: '100px' });
+    expect(results.initial).toBe('250px');
+    expect(results.shrunk).toBe('150px');
+  });
+
+  test('Navigation requests are checked against the parent policy', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager({
+        navigation: {
+          allowedUrls: [`${location.origin}/src/*`],
+          allowedTargets: ['_self', '_blank'],
+          confirm: ({ url }) => !url.includes('declined')
+        }
+      });
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('go', (url, target) => window.embedApi.requestNavigation(url, target)
+            .then(result => result.url, error => [error.name, error.reason]));
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      // Configuring the policy grants 'navigation' to the child
+      const rpc = await manager.setupRPC(frame, 2000);
+      const attempt = (url, target) => rpc.call('go', url, target);
+      const granted = [...rpc.capabilities];
+
+      const rejected = {
+        otherOrigin: await attempt('https://evil.example/src/', '_blank'),
+        script: await attempt('javascript:alert(1)', '_self'),
+        outsidePattern: await attempt(`${location.origin}/health`, '_self'),
+        top: await attempt(`${location.origin}/src/examples/child-embed.html`, '_top'),
+        declined: await attempt(`${location.origin}/src/declined.html`, '_self')
+      };
+
+      // The child unloads once its own frame navigates, so watch the manager instead
+      const navigated = new Promise(resolve => manager.once('navigate', resolve));
+      attempt(`${location.origin}/src/examples/child-embed.html`, '_self').catch(() => {});
+      const { url, target } = await navigated;
+
+      return { ...rejected, granted, allowed: { url, target }, frameSrc: frame.src };
+    });
+
+    expect(results.granted).toEqual(['navigation']);
+    expect(results.otherOrigin).toEqual(['NavigationError', 'url-not-allowed']);
+    expect(results.script).toEqual(['NavigationError', 'protocol-not-allowed']);
+    expect(results.outsidePattern).toEqual(['NavigationError', 'url-not-allowed']);
+    expect(results.top).toEqual(['NavigationError', 'target-not-allowed']);
+    expect(results.declined).toEqual(['NavigationError', 'declined']);
+    expect(results.allowed).toEqual({ url: 'http://localhost:3000/src/examples/child-embed.html', target: '_self' });
+    expect(results.frameSrc).toBe('http://localhost:3000/src/examples/child-embed.html');
+  });
+
+  test('Navigation is refused without a policy and limited to this origin by the default one', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+
+      const connect = async (manager) => {
+        const frame = document.createElement('iframe');
+        frame.srcdoc = `
+          <script type="module">
+            window.embedApi.expose('go', (url) => window.embedApi.requestNavigation(url, '_blank')
+              .then(result => result.url, error => [error.name, error.data.reason]));
+          <\/script>`;
+        document.body.appendChild(frame);
+        await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+        return manager.setupRPC(frame, 2000);
+      };
+
+      const unconfigured = await connect(new FrameManager());
+      const defaults = await connect(new FrameManager({ navigation: {} }));
+      // Keep the allowed '_blank' navigation from opening a window
+      window.open = () => null;
+
+      return {
+        unconfigured: await unconfigured.call('go', `${location.origin}/src/`),
+        sameOrigin: await defaults.call('go', `${location.origin}/src/`),
+        otherOrigin: await defaults.call('go', 'https://other.example/')
+      };
+    });
+
+    expect(results.unconfigured).toEqual(['PermissionDeniedError', 'missing-capability']);
+    expect(results.sameOrigin).toBe('http://localhost:3000/src/');
+    expect(results.otherOrigin).toEqual(['NavigationError', 'url-not-allowed']);
+  });
+
+  test('Exposed methods enforce capabilities, origins and rate limits', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          const attempt = (promise) => promise.then(() => 'allowed', error => error.data.reason || error.code);
+          window.embedApi.expose('tryAll', async () => ({
+            granted: window.embedApi.peer.capabilities,
+            storage: await attempt(window.embedApi.call('storage.set', 'k', 'v')),
+            admin: await attempt(window.embedApi.call('admin.reset')),
+            partnerOnly: await attempt(window.embedApi.call('partner.sync')),
+            navigation: await attempt(window.embedApi.requestNavigation('/elsewhere')),
+            burst: [
+              await attempt(window.embedApi.call('track')),
+              await attempt(window.embedApi.call('track')),
+              await attempt(window.embedApi.call('track'))
+            ]
+          }));
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, { timeout: 2000, capabilities: ['storage'] });
+      rpc.expose('storage.set', () => true, { capabilities: ['storage'] });
+      rpc.expose('admin.reset', () => true, { capabilities: ['admin'] });
+      rpc.expose('partner.sync', () => true, { origins: 'https://partner.example' });
+      rpc.expose('track', () => true, { rateLimit: { max: 2, interval: 60000 } });
+
+      return rpc.call('tryAll');
+    });
+
+    expect(results.granted).toEqual(['storage']);
+    expect(results.storage).toBe('allowed');
+    expect(results.admin).toBe('missing-capability');
+    expect(results.partnerOnly).toBe('origin-not-allowed');
+    expect(results.navigation).toBe('missing-capability');
+    expect(results.burst).toEqual(['allowed', 'allowed', 'RATE_LIMITED']);
+  });
+
+  test('Exposed methods validate arguments and results against their schema', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('createUser', (user) => ({ id: user.name === 'broken' ? 'x' : 7 }), {
+            params: [{
+              type: 'object',
+              required: ['name', 'email'],
+              properties: {
+                name: { type: 'string', minLength: 2 },
+                email: { type: 'string', pattern: '^[^@]+@[^@]+$' }
+              }
+            }],
+            result: { type: 'object', properties: { id: { type: 'integer' } } }
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const attempt = (...args) => rpc.call('createUser', ...args)
+        .catch(error => ({ name: error.name, code: error.code, phase: error.data.phase, errors: error.data.errors }));
+
+      return {
+        valid: await attempt({ name: 'Ada', email: 'ada@example.com' }),
+        invalid: await attempt({ name: 'A', email: 'nope' }),
+        missing: await attempt(),
+        badResult: await attempt({ name: 'broken', email: 'b@example.com' })
+      };
+    });
+
+    expect(results.valid).toEqual({ id: 7 });
+    expect(results.invalid.name).toBe('ValidationError');
+    expect(results.invalid.code).toBe('VALIDATION_FAILED');
+    expect(results.invalid.phase).toBe('params');
+    expect(results.invalid.errors.map(error => error.path)).toEqual(['params[0].name', 'params[0].email']);
+    expect(results.missing.errors).toEqual([{ path: 'params[0]', message: 'is required' }]);
+    expect(results.badResult.phase).toBe('result');
+    expect(results.badResult.errors[0].path).toBe('result.id');
+  });
+
+  test('Children describe their schemas and contracts are generated from them', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const source = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const { generateContract } = await import('/src/shared/contract.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('processPayment', () => ({ transactionId: 'tx_1' }), {
+            params: [{ type: 'number', name: 'amount' }, { enum: ['EUR', 'USD'], name: 'currency', optional: true }],
+            result: { type: 'object', required: ['transactionId'], properties: { transactionId: { type: 'string' } } }
+          });
+          window.embedApi.expose('untyped', () => null);
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      return generateContract(await rpc.call('describe'), { name: 'PaymentContract' });
+    });
+
+    expect(source).toBe([
+      'export type PaymentContract = {',
+      '  "processPayment": (amount: number, currency?: "EUR" | "USD") => { transactionId: string };',
+      '  "untyped": (...args: unknown[]) => unknown;',
+      '};',
+      ''
+    ].join('\n'));
+  });
+
+  test('Middleware sees, transforms and rejects messages on both sides', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const seen = [];
+      const manager = new FrameManager({
+        middleware: [{
+          outgoing: (context, next) => {
+            if (context.message.type === 'rpc-request') {
+              context.message = { ...context.message, token: 'secret' };
+            }
+            return next();
+          },
+          incoming: (context, next) => {
+            seen.push(context.message.type);
+            return next();
+          }
+        }]
+      });
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { PermissionDeniedError } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.use({
+            incoming: (context, next) => {
+              const { type, method, token } = context.message;
+              if (type === 'rpc-request' && method === 'whoami' && token !== 'secret') {
+                throw new PermissionDeniedError(method);
+              }
+              return next();
+            }
+          });
+          window.embedApi.expose('whoami', () => 'trusted parent');
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const trusted = await rpc.call('whoami');
+
+      const removeToken = rpc.use({
+        outgoing: (context, next) => {
+          context.message = { ...context.message, token: 'forged' };
+          return next();
+        }
+      });
+      const forged = await rpc.call('whoami').catch(error => error.name);
+      removeToken();
+
+      return { trusted, forged, again: await rpc.call('whoami'), seen };
+    });
+
+    expect(results.trusted).toBe('trusted parent');
+    expect(results.forged).toBe('PermissionDeniedError');
+    expect(results.again).toBe('trusted parent');
+    expect(results.seen).toEqual(['rpc-response', 'rpc-response', 'rpc-response']);
+  });
+
+  test('Middleware errors on messages outside calls are reported as rejected messages', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const rejected = [];
+      const manager = new FrameManager({
+        onRejectedMessage: ({ reason, direction, data, error }) => rejected.push([reason, direction, data.type, error.message]),
+        middleware: [{
+          incoming: (context, next) => {
+            if (context.message.type === 'child-event') throw new Error('events are off');
+            return next();
+          }
+        }]
+      });
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('notify', () => window.embedApi.sendEvent('changed', 1));
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const received = [];
+      rpc.on('changed', value => received.push(value));
+      await rpc.call('notify');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return { rejected, received };
+    });
+
+    expect(results.rejected).toEqual([['middleware-failed', 'incoming', 'child-event', 'events are off']]);
+    expect(results.received).toEqual([]);
+  });
+
+  test('Batched calls share one message each way and identical idempotent calls run once', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const sent = [];
+      const manager = new FrameManager({
+        batch: { idempotent: ['getMetric'] },
+        middleware: [{
+          outgoing: (context, next) => {
+            sent.push(context.message.method);
+            return next();
+          }
+        }]
+      });
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          window.handled = 0;
+          window.embedApi.expose('getMetric', (name) => {
+            window.handled++;
+            return { cpu: 42, memory: 512 }[name];
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const transmitted = [];
+      const transmit = rpc.transmit.bind(rpc);
+      rpc.transmit = (message) => {
+        transmitted.push(message.type === 'rpc-batch' ? message.messages.length : message.type);
+        transmit(message);
+      };
+
+      const values = await Promise.all([
+        rpc.call('getMetric', 'cpu'),
+        rpc.call('getMetric', 'memory'),
+        rpc.call('getMetric', 'cpu')
+      ]);
+
+      return { values, sent, transmitted, handled: frame.contentWindow.handled };
+    });
+
+    expect(results.values).toEqual([42, 512, 42]);
+    expect(results.sent).toEqual(['getMetric', 'getMetric']);
+    expect(results.transmitted).toEqual([2]);
+    expect(results.handled).toBe(2);
+  });
+
+  test('A slow call does not hold back the other responses of its batch', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager({ batch: true });
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          window.embedApi.expose('slow', () => new Promise(resolve => setTimeout(() => resolve('slow'), 500)));
+          window.embedApi.expose('fast', () => 'fast');
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const transmitted = [];
+      const transmit = rpc.transmit.bind(rpc);
+      rpc.transmit = (message) => {
+        transmitted.push(message.type);
+        transmit(message);
+      };
+
+      const settled = [];
+      const start = Date.now();
+      await Promise.all(['slow', 'fast'].map(method =>
+        rpc.call(method).then(value => settled.push([value, Date.now() - start < 400]))
+      ));
+
+      return { settled, transmitted };
+    });
+
+    expect(results.transmitted).toEqual(['rpc-batch']);
+    expect(results.settled).toEqual([['fast', true], ['slow', false]]);
+  });
+
+  test('Streamed results arrive in chunks, respect backpressure and can be cancelled', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { chunkString } from '${location.origin}/src/shared/streams.js';
+          window.produced = 0;
+          window.stopped = false;
+          window.embedApi.expose('getHtml', () => chunkString('<p>' + 'x'.repeat(20) + '</p>', 10));
+          window.embedApi.expose('numbers', async function* () {
+            try {
+              for (let i = 0; ; i++) {
+                window.produced++;
+                yield i;
+              }
+            } finally {
+              window.stopped = true;
+            }
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+
+      const chunks = [];
+      for await (const chunk of rpc.stream('getHtml')) {
+        chunks.push(chunk);
+      }
+
+      const reader = rpc.streamWithOptions('numbers', [], { highWaterMark: 4 });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const producedBeforeReading = frame.contentWindow.produced;
+
+      const numbers = [];
+      for await (const value of reader) {
+        numbers.push(value);
+        if (numbers.length === 6) break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return {
+        chunks,
+        producedBeforeReading,
+        numbers,
+        stopped: frame.contentWindow.stopped
+      };
+    });
+
+    expect(results.chunks).toEqual(['<p>xxxxxxx', 'xxxxxxxxxx', 'xxx</p>']);
+    expect(results.producedBeforeReading).toBeLessThanOrEqual(5);
+    expect(results.numbers).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(results.stopped).toBe(true);
+  });
+
+  test('Cancelling a stream stops a producer that is waiting for its next value', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          window.cancelled = false;
+          window.embedApi.expose('ticks', () => {
+            let pulled = false;
+            return new ReadableStream({
+              pull(controller) {
+                if (!pulled) {
+                  pulled = true;
+                  controller.enqueue('first');
+                  return;
+                }
+                // Goes idle, the next value never comes
+                return new Promise(() => {});
+              },
+              cancel() {
+                window.cancelled = true;
+              }
+            });
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const values = [];
+      for await (const value of rpc.stream('ticks')) {
+        values.push(value);
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return {
+        values,
+        cancelled: frame.contentWindow.cancelled,
+        activeStreams: frame.contentWindow.embedApi.activeStreams.size
+      };
+    });
+
+    expect(results.values).toEqual(['first']);
+    expect(results.cancelled).toBe(true);
+    expect(results.activeStreams).toBe(0);
+  });
+
+  test('Values marked with transfer() are moved instead of copied', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const { transfer } = await import('/src/parent/rpc.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          import { transfer } from '${location.origin}/src/child/embedApi.js';
+          window.embedApi.expose('sum', (bytes) => bytes.reduce((total, byte) => total + byte, 0));
+          window.embedApi.expose('export', () => {
+            window.exported = new Uint8Array([1, 2, 3, 4]).buffer;
+            return transfer({ name: 'data.bin', data: window.exported }, [window.exported]);
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+
+      const bytes = new Uint8Array([10, 20, 30]);
+      const sum = await rpc.call('sum', transfer(bytes, [bytes.buffer]));
+      const file = await rpc.call('export');
+
+      return {
+        sum,
+        sentDetached: bytes.buffer.byteLength === 0,
+        fileName: file.name,
+        fileSize: file.data.byteLength,
+        exportedDetached: frame.contentWindow.exported.byteLength === 0
+      };
+    });
+
+    expect(results.sum).toBe(60);
+    expect(results.sentDetached).toBe(true);
+    expect(results.fileName).toBe('data.bin');
+    expect(results.fileSize).toBe(4);
+    expect(results.exportedDetached).toBe(true);
+  });
+
+  test('Marked values holding a callback are still transferred', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const { transfer } = await import('/src/parent/rpc.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <script type="module">
+          window.embedApi.expose('upload', async ({ data, onProgress }) => {
+            await onProgress(data.byteLength);
+            return 'done';
+          });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const data = new Uint8Array([1, 2, 3, 4, 5]).buffer;
+      const progress = [];
+      const result = await rpc.call('upload', transfer({ data, onProgress: bytes => progress.push(bytes) }, [data]));
+
+      return { result, progress, detached: data.byteLength === 0 };
+    });
+
+    expect(results.result).toBe('done');
+    expect(results.progress).toEqual([5]);
+    expect(results.detached).toBe(true);
+  });
+
+  test('Destroying a connection rejects pending calls and notifies the other side', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const { ConnectionClosedError } = await import('/src/parent/rpc.js');
+      const manager = new FrameManager();
+      const disconnected = [];
+      manager.on('disconnected', ({ iframe }) => disconnected.push(iframe.id));
+
+      const createChild = async (id) => {
+        const frame = document.createElement('iframe');
+        frame.id = id;
+        frame.srcdoc = `
+          <script type="module">
+            import '${location.origin}/src/child/embedApi.js';
+            window.embedApi.expose('wait', function (ms) {
+              return new Promise(resolve => {
+                this.signal.addEventListener('abort', () => { window.aborted = true; });
+                setTimeout(resolve, ms);
+              });
+            });
+          <\/script>`;
+        document.body.appendChild(frame);
+        await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+        return { frame, rpc: await manager.setupRPC(frame, 2000) };
+      };
+
+      // Parent side teardown
+      const first = await createChild('first');
+      const pending = first.rpc.call('wait', 5000).catch(error => error);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      manager.cleanup(first.frame);
+      manager.cleanup(first.frame);
+      const pendingError = await pending;
+      const laterError = await first.rpc.call('wait', 0).catch(error => error);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const childAborted = first.frame.contentWindow.aborted === true;
+      const childConnected = first.frame.contentWindow.embedApi.connected;
+
+      // Child side teardown
+      const second = await createChild('second');
+      const waiting = second.rpc.call('wait', 5000).catch(error => error);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      second.frame.contentWindow.embedApi.destroy();
+      const closedByChild = await waiting;
+
+      manager.destroyAll({ remove: true });
+
+      return {
+        pendingIsClosed: pendingError instanceof ConnectionClosedError,
+        pendingCode: pendingError.code,
+        laterIsClosed: laterError instanceof ConnectionClosedError,
+        childAborted,
+        childConnected,
+        closedByChild: closedByChild instanceof ConnectionClosedError,
+        disconnected,
+        framesLeft: document.querySelectorAll('iframe#first, iframe#second').length
+      };
+    });
+
+    expect(results.pendingIsClosed).toBe(true);
+    expect(results.pendingCode).toBe('CONNECTION_CLOSED');
+    expect(results.laterIsClosed).toBe(true);
+    expect(results.childAborted).toBe(true);
+    expect(results.childConnected).toBe(false);
+    expect(results.closedByChild).toBe(true);
+    expect(results.disconnected).toEqual(['second']);
+    expect(results.framesLeft).toBe(1);
+  });
+
+  test('Extraction options are honored the same way by extractFromFrame and getContent', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <title>Shop</title>
+        <nav><a href="/home">Home</a></nav>
+        <main id="main">
+          <p>A very long product description</p>
+          <a href="/a">First</a><a href="/b">Second</a><a href="/c">Third</a>
+          <a href="/hidden" style="display: none">Hidden</a>
+          <span class="price">10</span><span class="price">20</span>
+        </main>
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          new EmbedApi({ capabilities: ['content'] }).registerExtractor('prices', ({ select }) => (
+            select('.price', 'prices').map(el => Number(el.textContent))
+          ));
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      manager.registerExtractor('prices', ({ select }) => (
+        select('.price', 'prices').map(el => Number(el.textContent))
+      ));
+      const options = {
+        fields: ['title', 'links', 'prices'],
+        selector: '#main',
+        limit: { links: 2 },
+        includeHidden: false,
+        maxTextLength: 3
+      };
+
+      const local = manager.extractFromFrame(frame, options);
+      const rpc = await manager.setupRPC(frame, 2000);
+      const remote = await rpc.call('getContent', options);
+      const unknownField = await rpc.call('getContent', { fields: ['nope'] }).catch(error => error.remoteName);
+      const everything = manager.extractFromFrame(frame);
+      const hidden = manager.extractFromFrame(frame, { fields: ['links'], selector: '#main' });
+
+      return {
+        local,
+        same: JSON.stringify(local) === JSON.stringify(remote),
+        unknownField,
+        defaultFields: Object.keys(everything),
+        allLinks: hidden.links.length
+      };
+    });
+
+    expect(results.local).toEqual({
+      title: 'Shop',
+      links: [
+        { href: 'http://localhost:3000/a', text: 'Fir' },
+        { href: 'http://localhost:3000/b', text: 'Sec' }
+      ],
+      prices: [10, 20]
+    });
+    expect(results.same).toBe(true);
+    expect(results.unknownField).toBe('TypeError');
+    expect(results.defaultFields).toEqual(['title', 'url', 'html', 'text', 'links', 'images', 'forms', 'meta', 'prices']);
+    expect(results.allLinks).toBe(4);
+  });
+
+  test('The built-in getContent answers only parents granted the content capability', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const read = async (setup) => {
+        const frame = document.createElement('iframe');
+        frame.srcdoc = `
+          <title>Private</title>
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            ${setup}
+          <\/script>`;
+        document.body.appendChild(frame);
+        await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+        const rpc = await manager.setupRPC(frame, 2000);
+        return rpc.call('getContent', { fields: ['title'] })
+          .then(content => content.title)
+          .catch(error => ({ name: error.name, data: error.data }));
+      };
+
+      return {
+        denied: await read(''),
+        granted: await read(`new EmbedApi({ capabilities: ['content'] });`),
+        exposed: await read(`new EmbedApi().expose('getContent', () => ({ title: 'Own' }));`)
+      };
+    });
+
+    expect(results.denied).toEqual({ name: 'PermissionDeniedError', data: { method: 'getContent', reason: 'missing-capability', capability: 'content' } });
+    expect(results.granted).toBe('Private');
+    expect(results.exposed).toBe('Own');
+  });
+
+  test('Requests without an argument array are answered as calls without arguments', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager({
+        middleware: [{
+          outgoing: (context, next) => {
+            if (context.message.type === 'rpc-request') {
+              context.message = { ...context.message, args: null };
+            }
+            return next();
+          }
+        }]
+      });
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <title>Page</title>
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          new EmbedApi({ capabilities: ['content'] }).expose('count', (...args) => args.length);
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const settle = promise => promise.catch(error => ({ name: error.name }));
+
+      return {
+        content: await settle(rpc.call('getContent', { fields: ['title'] }).then(content => content.title)),
+        count: await settle(rpc.call('count', 1, 2)),
+        watch: await settle(rpc.call('watch', {}, () => {}))
+      };
+    });
+
+    expect(results.content).toBe('Page');
+    expect(results.count).toBe(0);
+    expect(results.watch).toEqual({ name: 'ValidationError' });
+  });
+
+  test('Watching reports content changes for same-origin frames and through the child', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <main>
+          <p id="status">Draft</p>
+          <a href="/old">Old</a>
+          <form><input name="email" value=""></form>
+        </main>
+        <script type="module">
+          import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+          new EmbedApi({ capabilities: ['content'] });
+        <\/script>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const direct = [];
+      const viaChild = [];
+      const stop = await manager.watch(frame, { fields: ['text', 'links', 'forms'], debounce: 20 }, changes => direct.push(changes));
+      const rpc = await manager.setupRPC(frame, 2000);
+      const watchId = await rpc.call('watch', { fields: ['text', 'links', 'forms'], debounce: 20 }, changes => viaChild.push(changes));
+      const withoutCallback = await rpc.call('watch', { fields: ['text'] }).catch(error => error.name);
+
+      const doc = frame.contentDocument;
+      doc.getElementById('status').textContent = 'Sent';
+      doc.querySelector('a').remove();
+      const link = doc.createElement('a');
+      link.href = '/new';
+      link.textContent = 'New';
+      doc.querySelector('main').append(link);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const input = doc.querySelector('input');
+      input.value = 'user@example.com';
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      await stop();
+      const unwatched = [await rpc.call('unwatch', watchId), await rpc.call('unwatch', watchId)];
+      const withoutId = await rpc.call('unwatch').catch(error => error.name);
+      doc.getElementById('status').textContent = 'Ignored';
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return { direct, viaChild, withoutCallback, unwatched, withoutId };
+    });
+
+    expect(results.direct).toHaveLength(2);
+    expect(results.direct[0].text.to).toContain('Sent');
+    expect(results.direct[0].links.added).toEqual([{ href: 'http://localhost:3000/new', text: 'New' }]);
+    expect(results.direct[0].links.removed).toEqual([{ href: 'http://localhost:3000/old', text: 'Old' }]);
+    expect(results.direct[1].forms.changed).toEqual([{ form: 0, name: 'email', from: '', to: 'user@example.com' }]);
+    expect(results.viaChild).toEqual(results.direct);
+    expect(results.withoutCallback).toBe('ValidationError');
+    expect(results.unwatched).toEqual([true, false]);
+    expect(results.withoutId).toBe('ValidationError');
+  });
+
+  test('destroyAll stops watches on same-origin frames it never connected to', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = '<p id="status">Draft</p>';
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const changes = [];
+      await manager.watch(frame, { fields: ['text'], debounce: 20 }, change => changes.push(change));
+      manager.destroyAll();
+
+      frame.contentDocument.getElementById('status').textContent = 'Sent';
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return { changes, watched: manager.contentWatches.size };
+    });
+
+    expect(results.changes).toEqual([]);
+    expect(results.watched).toBe(0);
+  });
+
+  test('Structured data is extracted on request on both paths', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <head>
+          <meta property="og:title" content="Trail Shoe">
+          <meta property="og:site_name" content="Shop">
+          <meta property="og:image" content="https://shop.example/a.jpg">
+          <meta property="og:image:width" content="800">
+          <meta name="twitter:card" content="summary_large_image">
+          <script type="application/ld+json">
+            { "@context": "https://schema.org", "@graph": [{ "@type": "Product", "name": "Trail Shoe" }] }
+          <\/script>
+        </head>
+        <body>
+          <h1>Trail Shoe</h1>
+          <h2>Sizes</h2>
+          <div itemscope itemtype="https://schema.org/Offer">
+            <meta itemprop="price" content="89.00">
+            <span itemprop="priceCurrency">EUR</span>
+          </div>
+          <table>
+            <thead><tr><th>Size</th><th>Stock</th></tr></thead>
+            <tbody><tr><td>42</td><td>3</td></tr><tr><td>43</td><td>0</td></tr></tbody>
+          </table>
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            new EmbedApi({ capabilities: ['content'] });
+          <\/script>
+        </body>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const fields = ['jsonLd', 'microdata', 'openGraph', 'twitter', 'headings', 'tables'];
+      const local = manager.extractFromFrame(frame, { fields });
+      const rpc = await manager.setupRPC(frame, 2000);
+      const remote = await rpc.call('getContent', { fields });
+
+      return {
+        local,
+        same: JSON.stringify(local) === JSON.stringify(remote),
+        optIn: 'jsonLd' in manager.extractFromFrame(frame)
+      };
+    });
+
+    expect(results.local.jsonLd).toEqual([{ '@type': 'Product', name: 'Trail Shoe' }]);
+    expect(results.local.microdata).toEqual([
+      { type: 'https://schema.org/Offer', id: null, properties: { price: '89.00', priceCurrency: 'EUR' } }
+    ]);
+    expect(results.local.openGraph).toEqual({
+      title: 'Trail Shoe',
+      siteName: 'Shop',
+      images: [{ url: 'https://shop.example/a.jpg', width: '800' }]
+    });
+    expect(results.local.twitter).toEqual({ card: 'summary_large_image' });
+    expect(results.local.headings).toEqual([
+      { level: 1, text: 'Trail Shoe', id: null, children: [{ level: 2, text: 'Sizes', id: null, children: [] }] }
+    ]);
+    expect(results.local.tables).toEqual([
+      { caption: null, headers: ['Size', 'Stock'], rows: [{ Size: '42', Stock: '3' }, { Size: '43', Stock: '0' }] }
+    ]);
+    expect(results.same).toBe(true);
+    expect(results.optIn).toBe(false);
+  });
+
+  test('Articles are extracted as clean text and Markdown on both paths', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+      const sentence = 'Iframes are embedded documents, with their own window, history and origin.';
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <head><meta name="author" content="Ann Lee"></head>
+        <body>
+          <header><a href="/">Logo</a><nav><a href="/docs">Docs</a></nav></header>
+          <article>
+            <h1>Embedding guide</h1>
+            <p>${sentence} ${sentence} Read the <a href="/spec">spec</a> for <strong>details</strong>.</p>
+            <p>${sentence}</p>
+            <ul><li>Same-origin<ul><li>direct access</li></ul></li><li>Cross-origin</li></ul>
+            <pre><code class="language-js">rpc.call('ping');</code></pre>
+            <table><thead><tr><th>Mode</th><th>API</th></tr></thead><tbody><tr><td>proxy</td><td>remote</td></tr></tbody></table>
+            <div class="share-links"><a href="/share">Share</a></div>
+            <p style="display: none">Hidden note</p>
+          </article>
+          <footer>Copyright</footer>
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            new EmbedApi({ capabilities: ['content'] });
+          <\/script>
+        </body>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const local = manager.extractFromFrame(frame, { fields: ['article', 'markdown'] });
+      const rpc = await manager.setupRPC(frame, 2000);
+      const remote = await rpc.call('getContent', { fields: ['article', 'markdown'] });
+
+      return { local, same: JSON.stringify(local) === JSON.stringify(remote), sentence };
+    });
+
+    const { article, markdown } = results.local;
+    expect(article.title).toBe('Embedding guide');
+    expect(article.byline).toBe('Ann Lee');
+    expect(article.text.startsWith(`Embedding guide\n\n${results.sentence}`)).toBe(true);
+    expect(markdown).toContain('# Embedding guide');
+    expect(markdown).toContain('Read the [spec](http://localhost:3000/spec) for **details**.');
+    expect(markdown).toContain('- Same-origin\n  - direct access\n- Cross-origin');
+    expect(markdown).toContain("```js\nrpc.call('ping');\n```");
+    expect(markdown).toContain('| Mode | API |\n| --- | --- |\n| proxy | remote |');
+    for (const noise of ['Logo', 'Docs', 'Share', 'Hidden note', 'Copyright']) {
+      expect(markdown).not.toContain(noise);
+      expect(article.text).not.toContain(noise);
+    }
+    expect(results.same).toBe(true);
+  });
+
+  test('Forms are described with labels and options and filled on both paths', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const form = (id) => `
+        <form id="${id}" action="/signup" method="post">
+          <fieldset>
+            <legend>Account</legend>
+            <label for="${id}-email">Email</label>
+            <input id="${id}-email" name="email" type="email" required pattern=".+@.+">
+            <label>Plan <select name="plan"><option value="free">Free</option><option value="pro">Pro</option></select></label>
+          </fieldset>
+          <input type="checkbox" name="terms" aria-label="Accept terms">
+        </form>`;
+
+      const frame = document.createElement('iframe');
+      frame.srcdoc = `
+        <body>
+          ${form('local')}
+          ${form('remote')}
+          <script>
+            window.log = [];
+            document.addEventListener('input', e => log.push('input:' + e.target.form.id + ':' + e.target.name));
+            document.addEventListener('change', e => log.push('change:' + e.target.form.id + ':' + e.target.name));
+            document.addEventListener('submit', e => { e.preventDefault(); log.push('submit:' + e.target.id); });
+          <\/script>
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            new EmbedApi({ capabilities: ['content', 'forms'] });
+          <\/script>
+        </body>`;
+      document.body.appendChild(frame);
+      await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+      const { forms } = manager.extractFromFrame(frame, { fields: ['forms'] });
+      const values = { email: 'user@example.com', plan: 'pro', terms: true, nope: 'x' };
+      const local = await manager.fillForm(frame, '#local', values, { submit: true });
+
+      const rpc = await manager.setupRPC(frame, 2000);
+      const invalid = await rpc.call('fillForm', '#remote', { plan: 'pro' }, { submit: true });
+      const remote = await rpc.call('fillForm', 1, values, { submit: true });
+      const after = await rpc.call('getContent', { fields: ['forms'] });
+
+      return { form: forms[0], local, invalid, remote, after: after.forms[1], log: frame.contentWindow.log };
+    });
+
+    const [email, plan, terms] = results.form.fields;
+    expect(email).toMatchObject({ name: 'email', label: 'Email', required: true, pattern: '.+@.+', fieldset: 'Account' });
+    expect(plan.label).toBe('Plan');
+    expect(plan.options.map(option => [option.value, option.selected])).toEqual([['free', true], ['pro', false]]);
+    expect(terms).toMatchObject({ label: 'Accept terms', checked: false, fieldset: null });
+    expect(results.form.fieldsets).toEqual([{ legend: 'Account', disabled: false, fields: ['email', 'plan'] }]);
+
+    for (const result of [results.local, results.remote]) {
+      expect(result).toEqual({ filled: ['email', 'plan', 'terms'], missing: ['nope'], submitted: true });
+    }
+    // The required email is still empty, so the form is not submitted
+    expect(results.invalid.submitted).toBe(false);
+    expect(results.after.fields.map(field => field.checked ?? field.value)).toEqual(['user@example.com', 'pro', true]);
+    expect(results.log.slice(0, 7)).toEqual([
+      'input:local:email', 'change:local:email',
+      'input:local:plan', 'change:local:plan',
+      'input:local:terms', 'change:local:terms',
+      'submit:local'
+    ]);
+    expect(results.log).toContain('submit:remote');
+  });
+
+  test('The built-in fillForm answers only parents granted the forms capability', async ({ page }) => {
+    await page.goto('http://localhost:3000/');
+
+    const results = await page.evaluate(async () => {
+      const { FrameManager } = await import('/src/parent/frameManager.js');
+      const manager = new FrameManager();
+
+      const fill = async (capabilities) => {
+        const frame = document.createElement('iframe');
+        frame.srcdoc = `
+          <form><input name="email"></form>
+          <script type="module">
+            import { EmbedApi } from '${location.origin}/src/child/embedApi.js';
+            new EmbedApi({ capabilities: ${JSON.stringify(capabilities)} });
+          <\/script>`;
+        document.body.appendChild(frame);
+        await new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+
+        const rpc = await manager.setupRPC(frame, 2000);
+        const result = await rpc.call('fillForm', 0, { email: 'user@example.com' })
+          .catch(error => ({ name: error.name, data: error.data }));
+        return { result, value: frame.contentDocument.querySelector('input').value };
+      };
+
+      return { denied: await fill(['content']), granted: await fill(['forms']) };
+    });
+
+    expect(results.denied).toEqual({
+      result: { name: 'PermissionDeniedError', data: { method: 'fillForm', reason: 'missing-capability', capability: 'forms' } },
+      value: ''
+    });
+    expect(results.granted).toEqual({ result: { filled: ['email'], missing: [], submitted: false }, value: 'user@example.com' });
+  });
+
 });
 
 test.describe('Proxy Server API', () => {